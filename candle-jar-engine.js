@@ -0,0 +1,895 @@
+/*
+  Water-Rising Candle — headless simulation engine
+
+  Ideal-gas model of candles burning under a jar standing in a water basin. No DOM access and no
+  Math.random: all randomness comes from a seeded generator, so a run is fully determined by its
+  config and the sequence of step() calls. Loaded as a plain script it defines
+  window.CandleJarEngine; in Node, require() it.
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.CandleJarEngine = factory();
+})(typeof self !== 'undefined' ? self : this, () => {
+  'use strict';
+
+  // World coordinate system
+  const world = {
+    width: 960,
+    height: 560,
+    groundY: 480,
+    waterLevel: 520, // y coordinate of water top outside the jar (lower is higher visually)
+  };
+
+  // Physical constants. World units are pixels; PX_PER_M maps them to metres (32 px = 1 cm).
+  const PX_PER_M = 3200;
+  const PHYS = {
+    R: 8.314,                 // J/(mol·K)
+    atmPa: 101325,            // outside pressure
+    ambientK: 293.15,         // room, glass and water temperature
+    ambientRH: 0.5,           // relative humidity of room air
+    gravity: 9.81,
+    waterDensity: 998,        // kg/m³
+    o2Ambient: 0.2095,        // mole fraction of O2 in dry air
+    co2Ambient: 0.0004,
+    flameOutO2: 0.155,        // a candle flame dies below ~15.5% O2
+    convectiveFraction: 0.3,  // share of combustion heat that goes into the gas (rest is radiated)
+    gasWallCoef: 15,          // W/(m²·K), hot gas to glass and water surface
+    wallAmbientCoef: 10,      // W/(m²·K), glass to room air
+    glassThicknessM: 0.003,
+    glassHeatCapacity: 2.1e6, // J/(m³·K)
+    condenseRate: 2.0,        // 1/s, how quickly supersaturated vapour condenses on the glass
+    waterConductance: 4e-6,   // m/(Pa·s), how freely water flows under the rim
+    plumeEntrainment: 2.5e-3, // mol/s of surrounding gas drawn into one flame's plume
+    layerMixRate: 0.05,       // 1/s, exchange between neighbouring layers when stably stratified
+    overturnRate: 5,          // 1/s, exchange when a layer is lighter than the one above it
+    liftDrainRate: 6,         // 1/s, how fast risen water falls back once the rim leaves the water
+    liftAirExchange: 4,       // 1/s, room air replacing the jar's gas while it is lifted off
+  };
+  const SPECIES = ['o2', 'n2', 'co2', 'h2o'];
+  // Molar heat capacities at constant volume, J/(mol·K), and molar masses, g/mol
+  const CV = { o2: 21.0, n2: 20.8, co2: 28.9, h2o: 25.3 };
+  const MOLAR_MASS = { o2: 32.0, n2: 28.0, co2: 44.0, h2o: 18.0 };
+  const LAYER_COUNT = 20; // equal-volume layers from the water surface to the top of the jar
+  const MAX_SUBSTEP = 0.01; // s; the water column and wall exchange are stiff
+
+  // Wax formulas CxHyOz. Burn rate is for one small candle in open air.
+  const WAXES = {
+    paraffin: { label: 'Paraffin (C25H52)', C: 25, H: 52, O: 0, molarMass: 352.7, heatKJPerG: 46.0, burnGPerS: 1.7e-3 },
+    beeswax: { label: 'Beeswax (C46H92O2)', C: 46, H: 92, O: 2, molarMass: 677.2, heatKJPerG: 42.0, burnGPerS: 1.6e-3 },
+    stearin: { label: 'Stearin (C57H110O6)', C: 57, H: 110, O: 6, molarMass: 891.5, heatKJPerG: 39.5, burnGPerS: 1.8e-3 },
+  };
+
+  // Vessels that can go over the candles. Profiles give the inner radius, relative to the rim,
+  // at a fraction z of the height from the rim (0) to the closed end (1).
+  const VESSELS = {
+    cylinder: { label: 'Cylinder jar', diameterCm: 10, heightCm: 12, profile: () => 1 },
+    bottle: {
+      label: 'Tall bottle',
+      diameterCm: 7,
+      heightCm: 14,
+      profile: z => (z < 0.7 ? 1 : z < 0.88 ? lerp(1, 0.32, (z - 0.7) / 0.18) : 0.32),
+    },
+    beaker: { label: 'Beaker', diameterCm: 9, heightCm: 12, profile: () => 1 },
+    glass: { label: 'Inverted glass', diameterCm: 8, heightCm: 11, profile: z => 1 - 0.25 * z },
+  };
+  const JAR_DIAMETER_RANGE_CM = [6, 12];
+  const JAR_HEIGHT_RANGE_CM = [8, 14]; // taller vessels would not fit the scene
+  const PROFILE_STEPS = 200;
+  const PX_PER_CM = PX_PER_M / 100;
+
+  // Jar and basin dimensions shared with the renderer
+  const CANDLE_WIDTH_PX = 16;
+  const CANDLE_SPACING_PX = 46;
+  const CANDLE_MIN_GAP_PX = CANDLE_WIDTH_PX + 6; // centre-to-centre, so candles never overlap
+  const CANDLE_HEIGHT_RANGE = [60, 200];
+  const WICK_RANGE = [0.5, 2]; // wick size relative to a standard wick; scales burn rate and flame size
+  const BASIN_USABLE_PX = 30; // basin height minus its glass walls
+  const RIM_CLEARANCE_PX = 4; // the jar's rim needs this much room beside a candle to land
+  const LIFT_SPEED = 0.6; // lift-off animation progress per simulated second
+
+  // Run recording: samples at a fixed simulated interval
+  const SAMPLE_INTERVAL = 0.1; // s of simulated time
+  const MAX_SAMPLES = 36000;
+  const SAMPLE_COLUMNS = ['t', 'oxygenPct', 'temperatureC', 'pressureKPa', 'waterMm', 'waterMl', 'litCandles'];
+
+  const DEFAULT_CONFIG = {
+    candleCount: 3,
+    vessel: 'cylinder',
+    jarDiameterPx: null, // null: the vessel's own size
+    jarHeightPx: null,
+    wax: 'paraffin',
+    seed: 1,
+  };
+
+  function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+  function lerp(a, b, t) { return a + (b - a) * t; }
+
+  // mulberry32: small, fast, good enough for flicker and jitter
+  function createRng(seed) {
+    let a = seed >>> 0;
+    const next = () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    // Snapshots save and restore the position in the sequence
+    next.getState = () => a;
+    next.setState = value => { a = value >>> 0; };
+    return next;
+  }
+
+  // Saturation vapour pressure of water (Tetens), Pa
+  function saturationPressure(tempK) {
+    const c = tempK - 273.15;
+    return 610.78 * Math.exp((17.27 * c) / (c + 237.3));
+  }
+
+  // Integrates a vessel profile into volumes and areas, in metres above the rim
+  function buildGeometry(shape, diameterPx, heightPx) {
+    const vessel = VESSELS[shape] || VESSELS.cylinder;
+    const radius = diameterPx / 2 / PX_PER_M;
+    const height = heightPx / PX_PER_M;
+    const dz = height / PROFILE_STEPS;
+    const radii = [];
+    const cumulative = [0];
+    let wallArea = 0;
+    for (let i = 0; i <= PROFILE_STEPS; i++) radii.push(radius * vessel.profile(i / PROFILE_STEPS));
+    for (let i = 0; i < PROFILE_STEPS; i++) {
+      const r0 = radii[i];
+      const r1 = radii[i + 1];
+      cumulative.push(cumulative[i] + (Math.PI * dz * (r0 * r0 + r0 * r1 + r1 * r1)) / 3);
+      wallArea += Math.PI * (r0 + r1) * Math.hypot(dz, r1 - r0);
+    }
+    const topRadius = radii[PROFILE_STEPS];
+    wallArea += Math.PI * topRadius * topRadius;
+
+    function radiusAt(z) {
+      const f = clamp(z / dz, 0, PROFILE_STEPS);
+      const i = Math.min(PROFILE_STEPS - 1, Math.floor(f));
+      return lerp(radii[i], radii[i + 1], f - i);
+    }
+    function volumeBelow(z) {
+      const f = clamp(z / dz, 0, PROFILE_STEPS);
+      const i = Math.min(PROFILE_STEPS - 1, Math.floor(f));
+      return lerp(cumulative[i], cumulative[i + 1], f - i);
+    }
+    function heightForVolume(v) {
+      let lo = 0;
+      let hi = PROFILE_STEPS;
+      while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (cumulative[mid] < v) lo = mid; else hi = mid;
+      }
+      const span = cumulative[hi] - cumulative[lo];
+      return (lo + (span > 0 ? clamp((v - cumulative[lo]) / span, 0, 1) : 0)) * dz;
+    }
+
+    return {
+      shape,
+      radius,
+      height,
+      volume: cumulative[PROFILE_STEPS],
+      wallArea,
+      radiusAt,
+      areaAt: z => Math.PI * radiusAt(z) * radiusAt(z),
+      volumeBelow,
+      heightForVolume,
+    };
+  }
+
+  // Moles of room air filling `volume` m³, as one parcel of gas at a single temperature
+  function ambientParcel(volume) {
+    const total = (PHYS.atmPa * volume) / (PHYS.R * PHYS.ambientK);
+    const h2o = (PHYS.ambientRH * saturationPressure(PHYS.ambientK) * volume) / (PHYS.R * PHYS.ambientK);
+    const dry = total - h2o;
+    return {
+      o2: dry * PHYS.o2Ambient,
+      co2: dry * PHYS.co2Ambient,
+      n2: dry * (1 - PHYS.o2Ambient - PHYS.co2Ambient),
+      h2o,
+      temperatureK: PHYS.ambientK,
+    };
+  }
+
+  // Jar gas: a stack of layers sharing one pressure, plus totals over all layers for readouts
+  function ambientGas(volume) {
+    const layers = Array.from({ length: LAYER_COUNT }, () => ambientParcel(volume / LAYER_COUNT));
+    return summarize({ layers, wallK: PHYS.ambientK, pressurePa: PHYS.atmPa });
+  }
+
+  function summarize(gas) {
+    let moles = 0;
+    let weightedT = 0;
+    SPECIES.forEach(k => { gas[k] = 0; });
+    gas.layers.forEach(layer => {
+      SPECIES.forEach(k => { gas[k] += layer[k]; });
+      const n = totalMoles(layer);
+      moles += n;
+      weightedT += n * layer.temperatureK;
+    });
+    gas.temperatureK = moles > 0 ? weightedT / moles : PHYS.ambientK;
+    return gas;
+  }
+
+  function totalMoles(gas) { return gas.o2 + gas.n2 + gas.co2 + gas.h2o; }
+
+  function heatCapacity(gas) {
+    return gas.o2 * CV.o2 + gas.n2 * CV.n2 + gas.co2 * CV.co2 + gas.h2o * CV.h2o;
+  }
+
+  // Relative density at a shared pressure: mean molar mass over temperature
+  function density(parcel) {
+    const n = totalMoles(parcel);
+    if (n <= 0) return 0;
+    const mass = SPECIES.reduce((sum, k) => sum + parcel[k] * MOLAR_MASS[k], 0);
+    return mass / n / parcel.temperatureK;
+  }
+
+  function takeFraction(parcel, f) {
+    const out = { temperatureK: parcel.temperatureK };
+    SPECIES.forEach(k => {
+      out[k] = parcel[k] * f;
+      parcel[k] -= out[k];
+    });
+    return out;
+  }
+
+  function mixInto(dst, src) {
+    const cd = heatCapacity(dst);
+    const cs = heatCapacity(src);
+    SPECIES.forEach(k => { dst[k] += src[k]; });
+    if (cd + cs > 0) dst.temperatureK = (cd * dst.temperatureK + cs * src.temperatureK) / (cd + cs);
+  }
+
+  // Layers expand and contract at the shared pressure (volume ∝ nT); re-grid them back to equal
+  // volumes, conserving moles of each species and heat
+  function remapLayers(layers) {
+    const count = layers.length;
+    const volumes = layers.map(l => totalMoles(l) * l.temperatureK);
+    const target = volumes.reduce((a, b) => a + b, 0) / count;
+    const out = layers.map(() => ({ o2: 0, n2: 0, co2: 0, h2o: 0, temperatureK: PHYS.ambientK }));
+    const energy = new Array(count).fill(0);
+    let j = 0;
+    let room = target;
+    layers.forEach((src, k) => {
+      const capacity = heatCapacity(src);
+      let left = volumes[k];
+      while (left > 0) {
+        const take = j === count - 1 ? left : Math.min(left, room);
+        const f = take / volumes[k];
+        SPECIES.forEach(s => { out[j][s] += src[s] * f; });
+        energy[j] += capacity * f * src.temperatureK;
+        left -= take;
+        room -= take;
+        if (room <= target * 1e-9 && j < count - 1) {
+          j++;
+          room = target;
+        }
+      }
+    });
+    out.forEach((layer, i) => {
+      const capacity = heatCapacity(layer);
+      if (capacity > 0) layer.temperatureK = energy[i] / capacity;
+      layers[i] = layer;
+    });
+  }
+
+  function createEngine(initialConfig) {
+    let config = { ...DEFAULT_CONFIG, ...initialConfig };
+    let rng = createRng(config.seed);
+    const listeners = [];
+
+    const state = {
+      candles: [],
+      jar: {
+        placed: false,
+        x: world.width * 0.5,
+        y: world.groundY - 10,
+        shape: config.vessel,
+        diameter: 0,
+        height: 0,
+        placeAnim: 0,
+        lifting: false, // being lifted off: unsealed, but still holding some of its old gas
+        liftAnim: 0,
+        ventRate: 0, // m³/s of gas bubbling out under the rim, at the pressure inside
+        vented: 0, // m³ bubbled out since the jar was placed
+        condensed: 0, // mol of water that has condensed on the glass since reset
+      },
+      wax: config.wax,
+      gas: ambientGas(0), // moles of each species trapped under the jar; room air while the jar is off
+      oxygenInside: PHYS.o2Ambient, // O2 mole fraction inside the jar
+      waterRise: 0.0, // m; inside water surface above the outside surface
+      time: 0,
+      basin: {
+        waterLevel: 0.6, // 0..1 proportion of basin height filled
+        capacityPx: 200, // visual height of basin water for 100%
+      }
+    };
+    const recording = { samples: [], events: [], nextSampleAt: 0 };
+
+    function initCandles(count) {
+      state.candles = Array.from({ length: count }).map((_, i) => ({
+        x: 0,
+        y: world.groundY,
+        height: 180 + (i % 2) * 10,
+        wick: 1,
+        lit: false,
+        flame: 0,
+      }));
+      layoutCandlesAround(state.jar.x || world.width * 0.5);
+    }
+
+    function layoutCandlesAround(centerX, spacing = CANDLE_SPACING_PX) {
+      const n = state.candles.length;
+      const startX = centerX - ((n - 1) * spacing) / 2;
+      for (let i = 0; i < n; i++) {
+        state.candles[i].x = startX + i * spacing;
+      }
+    }
+
+    // Starts a fresh run. `changes` overrides the current config (candleCount, vessel, jarDiameterPx,
+    // jarHeightPx, wax, seed).
+    function reset(changes) {
+      config = { ...config, ...changes };
+      rng = createRng(config.seed);
+      // set jar near center first, then lay out candles around it
+      state.jar.x = world.width * 0.5;
+      initCandles(config.candleCount);
+      state.jar.shape = config.vessel in VESSELS ? config.vessel : 'cylinder';
+      const vessel = VESSELS[state.jar.shape];
+      state.jar.diameter = config.jarDiameterPx || vessel.diameterCm * PX_PER_CM;
+      state.jar.height = config.jarHeightPx || vessel.heightCm * PX_PER_CM;
+      state.jar.placed = false;
+      state.jar.placeAnim = 0;
+      state.jar.lifting = false;
+      state.jar.liftAnim = 0;
+      state.jar.ventRate = 0;
+      state.jar.vented = 0;
+      state.jar.condensed = 0;
+      state.wax = config.wax in WAXES ? config.wax : 'paraffin';
+      state.gas = ambientGas(jarGeometry().volume);
+      state.oxygenInside = PHYS.o2Ambient;
+      state.waterRise = 0.0;
+      state.time = 0;
+      state.basin.waterLevel = 0.6;
+      recording.samples = [];
+      recording.events = [];
+      recording.nextSampleAt = 0;
+      emit('reset', 'Reset');
+    }
+
+    function setCandleCount(count) {
+      config.candleCount = count;
+      initCandles(count);
+    }
+
+    function setJarDiameter(px) {
+      config.jarDiameterPx = px;
+      state.jar.diameter = px;
+    }
+
+    function setJarHeight(px) {
+      config.jarHeightPx = px;
+      state.jar.height = px;
+    }
+
+    // Switches vessel shape, taking that vessel's own diameter and height
+    function setVessel(name) {
+      if (!(name in VESSELS)) return;
+      config.vessel = name;
+      config.jarDiameterPx = null;
+      config.jarHeightPx = null;
+      state.jar.shape = name;
+      state.jar.diameter = VESSELS[name].diameterCm * PX_PER_CM;
+      state.jar.height = VESSELS[name].heightCm * PX_PER_CM;
+    }
+
+    function setWax(name) {
+      if (!(name in WAXES)) return;
+      config.wax = name;
+      state.wax = name;
+    }
+
+    function light() {
+      state.candles.forEach(c => { c.lit = true; });
+      emit('lit', 'Lit');
+    }
+
+    function setCandleLit(i, lit) {
+      const c = state.candles[i];
+      if (!c || c.lit === lit) return;
+      c.lit = lit;
+      emit(lit ? 'lit' : 'snuff', lit ? `Candle ${i + 1} lit` : `Candle ${i + 1} snuffed`);
+    }
+
+    function basinInteriorPx() {
+      const half = basinWidthPx() / 2 - 20;
+      return [world.width * 0.5 - half, world.width * 0.5 + half];
+    }
+
+    // Slides a candle along the ground. Candles keep their left-to-right order. While the jar is
+    // down, candles under it can't be reached and candles outside can't be pushed through the glass.
+    function moveCandle(i, x) {
+      const c = state.candles[i];
+      if (!c || (state.jar.placed && candleInside(c))) return false;
+      const [lo, hi] = basinInteriorPx();
+      const prev = state.candles[i - 1];
+      const next = state.candles[i + 1];
+      let min = prev ? prev.x + CANDLE_MIN_GAP_PX : lo;
+      let max = next ? next.x - CANDLE_MIN_GAP_PX : hi;
+      if (state.jar.placed) {
+        const reach = state.jar.diameter / 2 + CANDLE_WIDTH_PX / 2 + RIM_CLEARANCE_PX;
+        if (c.x < state.jar.x) max = Math.min(max, state.jar.x - reach);
+        else min = Math.max(min, state.jar.x + reach);
+      }
+      c.x = clamp(x, min, Math.max(min, max));
+      return true;
+    }
+
+    // Slides the lifted jar along the ground, keeping it over the basin
+    function moveJar(x) {
+      if (state.jar.placed || state.jar.lifting) return false;
+      const [lo, hi] = basinInteriorPx();
+      const r = state.jar.diameter / 2;
+      state.jar.x = clamp(x, lo + r, Math.max(lo + r, hi - r));
+      return true;
+    }
+
+    function candleInside(c) {
+      return Math.abs(c.x - state.jar.x) < state.jar.diameter / 2 - CANDLE_WIDTH_PX / 2;
+    }
+
+    // True when one side of the rim would come down on a candle at the jar's current position
+    function rimBlocked() {
+      const r = state.jar.diameter / 2;
+      const half = CANDLE_WIDTH_PX / 2 + RIM_CLEARANCE_PX;
+      return state.candles.some(c =>
+        Math.abs(c.x - (state.jar.x - r)) < half || Math.abs(c.x - (state.jar.x + r)) < half
+      );
+    }
+
+    function setCandleHeight(i, px) {
+      const c = state.candles[i];
+      if (c) c.height = clamp(px, CANDLE_HEIGHT_RANGE[0], CANDLE_HEIGHT_RANGE[1]);
+    }
+
+    function setCandleWick(i, size) {
+      const c = state.candles[i];
+      if (c) c.wick = clamp(size, WICK_RANGE[0], WICK_RANGE[1]);
+    }
+
+    // Places or lifts the jar. Returns false while it is still being lifted off, or if the rim
+    // would land on a candle.
+    function toggleJar() {
+      if (state.jar.lifting) return false;
+      if (state.jar.placed) {
+        // The seal breaks at once; step() carries the jar up and lets the water fall back
+        state.jar.placed = false;
+        state.jar.lifting = true;
+        state.jar.liftAnim = 0;
+        state.jar.ventRate = 0;
+        emit('lift', 'Jar lifted');
+        return true;
+      }
+      if (rimBlocked()) return false;
+      state.jar.placed = true;
+      state.jar.placeAnim = 0;
+      state.jar.vented = 0;
+      // The jar traps whatever room air is under it at the moment it lands
+      state.gas = ambientGas(gasVolume());
+      emit('jar', 'Jar placed');
+      return true;
+    }
+
+    // Events are logged with the run and passed to listeners as { t, type, label }
+    function emit(type, label) {
+      const ev = { t: state.time, type, label };
+      if (type !== 'reset') recording.events.push(ev);
+      listeners.forEach(fn => fn(ev));
+    }
+
+    function on(fn) {
+      listeners.push(fn);
+      return () => {
+        const i = listeners.indexOf(fn);
+        if (i >= 0) listeners.splice(i, 1);
+      };
+    }
+
+    let geometryCache = null;
+    function jarGeometry() {
+      const { shape, diameter, height } = state.jar;
+      const g = geometryCache;
+      if (!g || g.shape !== shape || g.diameterPx !== diameter || g.heightPx !== height) {
+        geometryCache = { ...buildGeometry(shape, diameter, height), diameterPx: diameter, heightPx: height };
+      }
+      return geometryCache;
+    }
+
+    function basinDepth() {
+      return (state.basin.waterLevel * BASIN_USABLE_PX) / PX_PER_M;
+    }
+
+    function basinWidthPx() {
+      return Math.max(Math.floor(world.width * 0.9), state.candles.length * CANDLE_SPACING_PX + 240);
+    }
+
+    function basinArea() {
+      // The basin is drawn side-on; assume it is half as deep (front to back) as it is wide
+      const widthM = basinWidthPx() / PX_PER_M;
+      return widthM * widthM * 0.5;
+    }
+
+    // Volume of gas under the jar: the jar minus the water inside it and the candles sticking out of it
+    function gasVolume() {
+      const jar = jarGeometry();
+      const waterInside = Math.max(0, basinDepth() + state.waterRise);
+      const candleArea = Math.PI * Math.pow(CANDLE_WIDTH_PX / 2 / PX_PER_M, 2);
+      let candles = 0;
+      state.candles.forEach(c => {
+        if (!candleInside(c)) return;
+        const aboveWater = c.height / PX_PER_M - waterInside;
+        if (aboveWater > 0) candles += candleArea * Math.min(aboveWater, jar.height - waterInside);
+      });
+      return Math.max(jar.volume * 0.05, jar.volume - jar.volumeBelow(waterInside) - candles);
+    }
+
+    // Moves water between the basin and the jar, keeping the total volume
+    function setWaterRise(h) {
+      const jar = jarGeometry();
+      const moved = jar.volumeBelow(basinDepth() + h) - jar.volumeBelow(basinDepth() + state.waterRise);
+      state.waterRise = h;
+      state.basin.waterLevel = clamp(
+        state.basin.waterLevel - (moved / basinArea()) * PX_PER_M / BASIN_USABLE_PX,
+        0.05, 1
+      );
+    }
+
+    // Advances the model by `dt` seconds of simulated time
+    function step(dt) {
+      state.time += dt;
+
+      // Animate jar placement
+      if (state.jar.placeAnim < 1 && (state.jar.placed || state.jar.placeAnim > 0)) {
+        state.jar.placeAnim = clamp(state.jar.placeAnim + dt * 2.5, 0, 1);
+      }
+      if (state.jar.lifting) {
+        state.jar.liftAnim = clamp(state.jar.liftAnim + dt * LIFT_SPEED, 0, 1);
+        if (state.jar.liftAnim >= 1) {
+          state.jar.lifting = false;
+          state.jar.liftAnim = 0;
+          state.jar.placeAnim = 0;
+        }
+      }
+
+      // Each flame breathes the layer at its wick: it dims as that oxygen approaches the
+      // extinction limit, and dies below it or when the water reaches the wick
+      state.candles.forEach((c, i) => {
+        if (!c.lit) {
+          c.flame = lerp(c.flame, 0, 0.2);
+          return;
+        }
+        const inside = state.jar.placed && candleInside(c);
+        const x = inside ? oxygenAtHeight(c.height / PX_PER_M) : PHYS.o2Ambient;
+        const o2Factor = clamp((x - PHYS.flameOutO2) / (PHYS.o2Ambient - PHYS.flameOutO2), 0, 1);
+        const flicker = 0.7 + rng() * 0.6;
+        c.flame = lerp(c.flame, flicker * (0.35 + 0.65 * o2Factor), 0.1);
+        if (inside && x < PHYS.flameOutO2) {
+          c.lit = false;
+          emit('flameout', `Candle ${i + 1} out`);
+        }
+      });
+
+      const substeps = Math.max(1, Math.ceil(dt / MAX_SUBSTEP));
+      for (let i = 0; i < substeps; i++) stepGas(dt / substeps);
+
+      recordSample();
+    }
+
+    // Volume of water pulled up into the jar above the outside level, m³
+    function waterDrawnIn() {
+      const jar = jarGeometry();
+      return jar.volumeBelow(Math.max(0, basinDepth() + state.waterRise)) - jar.volumeBelow(basinDepth());
+    }
+
+    // Gas between the water surface and the top of the jar, in metres above the rim
+    function gasColumn() {
+      return { bottom: Math.max(0, basinDepth() + state.waterRise), top: jarGeometry().height };
+    }
+
+    // Layers hold equal volumes, so in a shaped vessel they have different heights.
+    // Returns [bottom, top] of each layer in metres above the rim.
+    function layerBounds() {
+      const jar = jarGeometry();
+      const { bottom } = gasColumn();
+      const v0 = jar.volumeBelow(bottom);
+      const dv = (jar.volume - v0) / LAYER_COUNT;
+      const bounds = [];
+      let z0 = bottom;
+      for (let k = 1; k <= LAYER_COUNT; k++) {
+        const z1 = k === LAYER_COUNT ? jar.height : jar.heightForVolume(v0 + k * dv);
+        bounds.push([z0, z1]);
+        z0 = z1;
+      }
+      return bounds;
+    }
+
+    // Index of the layer at a height above the rim, or -1 if that height is under water
+    function layerIndexAt(heightM) {
+      const jar = jarGeometry();
+      const { bottom } = gasColumn();
+      if (heightM < bottom) return -1;
+      const v0 = jar.volumeBelow(bottom);
+      const f = (jar.volumeBelow(heightM) - v0) / (jar.volume - v0);
+      return clamp(Math.floor(f * LAYER_COUNT), 0, LAYER_COUNT - 1);
+    }
+
+    function oxygenAtHeight(heightM) {
+      if (!state.jar.placed) return PHYS.o2Ambient;
+      const k = layerIndexAt(heightM);
+      if (k < 0) return 0;
+      const layer = state.gas.layers[k];
+      return layer.o2 / totalMoles(layer);
+    }
+
+    function stepGas(dt) {
+      if (!state.jar.placed) {
+        // Open air: any risen water falls back into the basin, and room air washes out the gas
+        // left in a jar that is being lifted off
+        setWaterRise(lerp(state.waterRise, 0, clamp(dt * PHYS.liftDrainRate, 0, 1)));
+        if (state.jar.lifting) {
+          const f = clamp(dt * PHYS.liftAirExchange, 0, 1);
+          const fresh = (jarGeometry().volume / LAYER_COUNT) * f;
+          state.gas.layers.forEach(layer => {
+            takeFraction(layer, f);
+            mixInto(layer, ambientParcel(fresh));
+          });
+          summarize(state.gas);
+          state.gas.pressurePa = PHYS.atmPa;
+        } else {
+          state.gas = ambientGas(jarGeometry().volume);
+        }
+        state.oxygenInside = state.gas.o2 / totalMoles(state.gas);
+        return;
+      }
+
+      const gas = state.gas;
+      const layers = gas.layers;
+      const jar = jarGeometry();
+      const wax = WAXES[state.wax] || WAXES.paraffin;
+      const o2PerWax = wax.C + wax.H / 4 - wax.O / 2;
+
+      // Combustion: CxHyOz + (x + y/4 - z/2) O2 -> x CO2 + y/2 H2O. Each plume entrains gas at the
+      // wick, burns part of its oxygen and rises until it is no longer lighter than the layer above.
+      state.candles.forEach(c => {
+        if (!c.lit || !candleInside(c)) return; // candles outside burn in open air
+        const k = layerIndexAt(c.height / PX_PER_M);
+        if (k < 0) return;
+        const src = layers[k];
+        const x = src.o2 / totalMoles(src);
+        // Burn rate scales with wick size: a bigger wick draws up more molten wax
+        const burnRate = wax.burnGPerS * c.wick * clamp(x / PHYS.o2Ambient, 0, 1); // g/s
+        const plume = takeFraction(src, clamp((PHYS.plumeEntrainment * c.wick * dt) / totalMoles(src), 0, 0.5));
+        if (totalMoles(plume) <= 0) return;
+        const waxMoles = Math.min((burnRate * dt) / wax.molarMass, plume.o2 / o2PerWax);
+        const before = heatCapacity(plume) * plume.temperatureK;
+        plume.o2 -= waxMoles * o2PerWax;
+        plume.co2 += waxMoles * wax.C;
+        plume.h2o += waxMoles * wax.H / 2;
+        const heatIn = waxMoles * wax.molarMass * wax.heatKJPerG * 1000 * PHYS.convectiveFraction;
+        plume.temperatureK = (before + heatIn) / heatCapacity(plume);
+        let dest = k;
+        while (dest + 1 < layers.length && density(plume) < density(layers[dest + 1])) dest++;
+        mixInto(layers[dest], plume);
+      });
+
+      // Heat exchange: each layer with the glass beside it, the top layer also with the jar's
+      // closed end, the bottom layer with the water surface; then the glass with the room
+      const bounds = layerBounds();
+      let toWall = 0;
+      layers.forEach((layer, k) => {
+        const [z0, z1] = bounds[k];
+        let wallArea = 2 * Math.PI * jar.radiusAt((z0 + z1) / 2) * (z1 - z0);
+        if (k === layers.length - 1) wallArea += jar.areaAt(jar.height);
+        const q = PHYS.gasWallCoef * wallArea * (layer.temperatureK - gas.wallK) * dt;
+        const qWater = k === 0 ? PHYS.gasWallCoef * jar.areaAt(z0) * (layer.temperatureK - PHYS.ambientK) * dt : 0;
+        layer.temperatureK -= (q + qWater) / heatCapacity(layer);
+        toWall += q;
+      });
+      const wallToRoom = PHYS.wallAmbientCoef * jar.wallArea * (gas.wallK - PHYS.ambientK) * dt;
+      const wallCapacity = jar.wallArea * PHYS.glassThicknessM * PHYS.glassHeatCapacity;
+      gas.wallK += (toWall - wallToRoom) / wallCapacity;
+
+      // Water vapour beyond saturation at the glass temperature condenses
+      const satFraction = saturationPressure(gas.wallK) / gas.pressurePa;
+      layers.forEach(layer => {
+        const excess = (layer.h2o - satFraction * totalMoles(layer)) / (1 - satFraction);
+        if (excess <= 0) return;
+        const condensed = excess * clamp(dt * PHYS.condenseRate, 0, 1);
+        layer.h2o -= condensed;
+        state.jar.condensed += condensed;
+      });
+
+      // Mixing between neighbours; hot gas under cooler, denser gas overturns quickly
+      for (let k = 0; k + 1 < layers.length; k++) {
+        const lower = layers[k];
+        const upper = layers[k + 1];
+        const rate = density(lower) < density(upper) ? PHYS.overturnRate : PHYS.layerMixRate;
+        const f = clamp(rate * dt, 0, 0.5);
+        const up = takeFraction(lower, f);
+        const down = takeFraction(upper, f);
+        mixInto(upper, up);
+        mixInto(lower, down);
+      }
+
+      remapLayers(layers);
+      summarize(gas);
+
+      // PV = nRT over all layers, then water flows until the gas pressure plus the hydrostatic
+      // head balances the room
+      const nT = layers.reduce((sum, l) => sum + totalMoles(l) * l.temperatureK, 0);
+      gas.pressurePa = (nT * PHYS.R) / gasVolume();
+      const headPa = PHYS.waterDensity * PHYS.gravity * state.waterRise;
+      const drivePa = PHYS.atmPa - gas.pressurePa - headPa;
+      const minRise = -basinDepth(); // water pushed down to the rim
+      const maxRise = jar.height - basinDepth() - 1e-3;
+      let rise = state.waterRise + PHYS.waterConductance * drivePa * dt;
+      // Gas that would push the water below the rim escapes under it as bubbles instead
+      let vented = 0;
+      if (rise < minRise) {
+        vented = jar.areaAt(0) * (minRise - rise);
+        ventGas(vented);
+        rise = minRise;
+      }
+      setWaterRise(clamp(rise, minRise, maxRise));
+      state.jar.ventRate = lerp(state.jar.ventRate, vented / dt, clamp(dt * 5, 0, 1));
+
+      state.oxygenInside = gas.o2 / totalMoles(gas);
+    }
+
+    // Removes `volume` m³ of gas, at the pressure inside, from the bottom of the jar
+    function ventGas(volume) {
+      const gas = state.gas;
+      if (state.jar.vented === 0) emit('bubble', 'Gas bubbling out');
+      state.jar.vented += volume;
+      let moles = (gas.pressurePa * volume) / PHYS.R;
+      for (let k = 0; k < gas.layers.length && moles > 0; k++) {
+        const layer = gas.layers[k];
+        const n = totalMoles(layer);
+        const take = Math.min(n * 0.5, moles / layer.temperatureK);
+        takeFraction(layer, take / n);
+        moles -= take * layer.temperatureK;
+      }
+      summarize(gas);
+      const nT = gas.layers.reduce((sum, l) => sum + totalMoles(l) * l.temperatureK, 0);
+      gas.pressurePa = (nT * PHYS.R) / gasVolume();
+    }
+
+    function recordSample() {
+      if (state.time < recording.nextSampleAt) return;
+      recording.nextSampleAt = state.time + SAMPLE_INTERVAL;
+      recording.samples.push({
+        t: state.time,
+        oxygenPct: state.oxygenInside * 100,
+        temperatureC: state.gas.temperatureK - 273.15,
+        pressureKPa: state.gas.pressurePa / 1000,
+        waterMm: state.waterRise * 1000,
+        waterMl: waterDrawnIn() * 1e6,
+        litCandles: state.candles.filter(c => c.lit).length,
+      });
+      if (recording.samples.length > MAX_SAMPLES) recording.samples.shift();
+    }
+
+    // Everything needed to resume the run from this moment: state, config and the generator
+    function snapshot() {
+      return {
+        t: state.time,
+        state: structuredClone(state),
+        config: { ...config },
+        rng: rng.getState(),
+        events: recording.events.length,
+        nextSampleAt: recording.nextSampleAt,
+      };
+    }
+
+    // Puts the run back to a snapshot, leaving the recording alone (for looking back in time)
+    function restore(snap) {
+      Object.keys(snap.state).forEach(k => { state[k] = structuredClone(snap.state[k]); });
+      config = { ...snap.config };
+      rng.setState(snap.rng);
+    }
+
+    // Returns to a snapshot and drops everything recorded after it, so stepping on from there
+    // branches a new run
+    function rewind(snap) {
+      restore(snap);
+      recording.samples = recording.samples.filter(sample => sample.t <= snap.t);
+      recording.events.length = Math.min(recording.events.length, snap.events);
+      recording.nextSampleAt = snap.nextSampleAt;
+    }
+
+    function toCsv() {
+      const lines = [['time_s', 'oxygen_pct', 'temperature_c', 'pressure_kpa', 'water_rise_mm', 'water_drawn_in_ml', 'lit_candles', 'event'].join(',')];
+      let e = 0;
+      recording.samples.forEach((sample, i) => {
+        // Attach each event to the sample that was current when it happened
+        const next = recording.samples[i + 1];
+        const labels = [];
+        while (e < recording.events.length && (!next || recording.events[e].t < next.t)) {
+          labels.push(recording.events[e++].label);
+        }
+        const row = SAMPLE_COLUMNS.map(k => (k === 'litCandles' ? String(sample[k]) : sample[k].toFixed(3)));
+        row.push(labels.length ? `"${labels.join('; ')}"` : '');
+        lines.push(row.join(','));
+      });
+      return lines.join('\n') + '\n';
+    }
+
+    function toJson() {
+      return JSON.stringify({
+        settings: { ...config, sampleInterval: SAMPLE_INTERVAL },
+        events: recording.events,
+        samples: recording.samples,
+      }, null, 2);
+    }
+
+    reset();
+
+    return {
+      state,
+      recording,
+      get config() { return { ...config }; },
+      reset,
+      step,
+      snapshot,
+      restore,
+      rewind,
+      light,
+      setCandleLit,
+      moveCandle,
+      moveJar,
+      candleInside,
+      rimBlocked,
+      setCandleHeight,
+      setCandleWick,
+      toggleJar,
+      setCandleCount,
+      setJarDiameter,
+      setJarHeight,
+      setVessel,
+      setWax,
+      on,
+      jarGeometry,
+      gasColumn,
+      gasVolume,
+      layerBounds,
+      waterDrawnIn,
+      oxygenAtHeight,
+      basinWidthPx,
+      toCsv,
+      toJson,
+    };
+  }
+
+  return {
+    createEngine,
+    createRng,
+    world,
+    PX_PER_M,
+    PX_PER_CM,
+    PHYS,
+    VESSELS,
+    JAR_DIAMETER_RANGE_CM,
+    JAR_HEIGHT_RANGE_CM,
+    WAXES,
+    LAYER_COUNT,
+    CANDLE_WIDTH_PX,
+    CANDLE_SPACING_PX,
+    CANDLE_HEIGHT_RANGE,
+    WICK_RANGE,
+    BASIN_USABLE_PX,
+  };
+});
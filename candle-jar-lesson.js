@@ -0,0 +1,198 @@
+/*
+  Water-Rising Candle — guided lessons
+
+  Steps a lesson script (see lessons/*.json) along with a candle-jar engine. Each step shows some
+  text and may unlock actions, ask for a prediction, wait for something to happen in the run, or
+  show how the predictions compare with the results. No DOM access: the page renders the current
+  step and calls next() and setPrediction(). Loaded as a plain script it defines
+  window.CandleJarLesson; in Node, require() it.
+
+  Step fields:
+    text       what to tell the student
+    allow      actions unlocked during the step: "light", "jar"
+    predict    { quantity, label, unit, min, max, step } asks for a number before moving on
+    waitFor    { event: "<engine event type>" } | { allOut: true } | { seconds: n }; without it
+               the student moves on with Next
+    results    true to show predictions next to the simulated values
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.CandleJarLesson = factory();
+})(typeof self !== 'undefined' ? self : this, () => {
+  'use strict';
+
+  const ACTIONS = ['light', 'jar'];
+
+  // Things a student can predict, measured from the engine when the results are shown
+  const QUANTITIES = {
+    waterRiseMm: engine => engine.state.waterRise * 1000,
+    waterDrawnInMl: engine => engine.waterDrawnIn() * 1e6,
+    oxygenPct: engine => engine.state.oxygenInside * 100,
+    firstFlameOutS: engine => flameOutTimes(engine)[0],
+    lastFlameOutS: engine => flameOutTimes(engine).pop(),
+  };
+
+  // Seconds from the last time the jar was placed to each flame-out under it
+  function flameOutTimes(engine) {
+    const events = engine.recording.events;
+    const placed = events.filter(ev => ev.type === 'jar').pop();
+    if (!placed) return [];
+    return events.filter(ev => ev.type === 'flameout' && ev.t >= placed.t).map(ev => ev.t - placed.t);
+  }
+
+  // Throws on anything the runner would not know how to play, naming the offending step
+  function validateLesson(lesson) {
+    if (!lesson || typeof lesson.title !== 'string' || !Array.isArray(lesson.steps) || !lesson.steps.length) {
+      throw new Error('A lesson needs a title and at least one step');
+    }
+    lesson.steps.forEach((step, i) => {
+      const where = `Step ${i + 1} of "${lesson.title}"`;
+      if (typeof step.text !== 'string') throw new Error(`${where} has no text`);
+      (step.allow || []).forEach(action => {
+        if (!ACTIONS.includes(action)) throw new Error(`${where} allows unknown action "${action}"`);
+      });
+      if (step.predict && !(step.predict.quantity in QUANTITIES)) {
+        throw new Error(`${where} predicts unknown quantity "${step.predict.quantity}"`);
+      }
+      const wait = step.waitFor;
+      if (wait && !(typeof wait.event === 'string' || wait.allOut === true || wait.seconds > 0)) {
+        throw new Error(`${where} waits for something unknown`);
+      }
+    });
+    return lesson;
+  }
+
+  function createLessonRunner(engine) {
+    let lesson = null;
+    let index = 0;
+    let stepStartedAt = 0;
+    let enteredAt = []; // engine time each step up to the current one was reached, by step index
+    let predictions = {}; // by step index
+    const listeners = [];
+
+    function current() {
+      return lesson ? lesson.steps[index] : null;
+    }
+
+    function start(script) {
+      lesson = validateLesson(script);
+      predictions = {};
+      goTo(0);
+    }
+
+    function stop() {
+      lesson = null;
+      notify();
+    }
+
+    function goTo(i) {
+      index = i;
+      stepStartedAt = engine.state.time;
+      enteredAt.length = i;
+      enteredAt[i] = stepStartedAt;
+      notify();
+    }
+
+    // After the run has been wound back, returns to the step the lesson was on at that time and
+    // forgets predictions given after it
+    function rewind() {
+      if (!lesson) return;
+      const t = engine.state.time;
+      let i = index;
+      while (i > 0 && enteredAt[i] > t) i--;
+      Object.keys(predictions).forEach((k) => { if (Number(k) > i) delete predictions[k]; });
+      index = i;
+      stepStartedAt = enteredAt[i];
+      enteredAt.length = i + 1;
+      notify();
+    }
+
+    // Moves on from a step that waits for the student. Returns false if it can't yet.
+    function next() {
+      const step = current();
+      if (!step || step.waitFor || index >= lesson.steps.length - 1) return false;
+      if (step.predict && !(index in predictions)) return false;
+      goTo(index + 1);
+      return true;
+    }
+
+    function setPrediction(value) {
+      const step = current();
+      if (!step || !step.predict) return;
+      if (Number.isFinite(value)) predictions[index] = value;
+      else delete predictions[index];
+      notify();
+    }
+
+    // True when the action is not part of the lesson, or the current step unlocks it
+    function allows(action) {
+      const step = current();
+      return !step || (step.allow || []).includes(action);
+    }
+
+    // Called every frame to catch waits that depend on the run rather than on one event
+    function update() {
+      const wait = current() && current().waitFor;
+      if (!wait) return;
+      if ((wait.allOut && engine.state.candles.every(c => !c.lit)) ||
+          (wait.seconds && engine.state.time - stepStartedAt >= wait.seconds)) {
+        goTo(index + 1);
+      }
+    }
+
+    // Each prediction next to what the simulation measured, with the difference
+    function results() {
+      if (!lesson) return [];
+      return lesson.steps
+        .map((step, i) => ({ step, i }))
+        .filter(({ step }) => step.predict)
+        .map(({ step, i }) => {
+          const actual = QUANTITIES[step.predict.quantity](engine);
+          const predicted = predictions[i];
+          return {
+            label: step.predict.label,
+            unit: step.predict.unit || '',
+            predicted,
+            actual: Number.isFinite(actual) ? actual : null,
+            difference: Number.isFinite(actual) && Number.isFinite(predicted) ? predicted - actual : null,
+          };
+        });
+    }
+
+    function notify() {
+      listeners.forEach(fn => fn());
+    }
+
+    function on(fn) {
+      listeners.push(fn);
+    }
+
+    engine.on(ev => {
+      const wait = current() && current().waitFor;
+      if (wait && wait.event === ev.type) goTo(index + 1);
+      else if (ev.type === 'reset' && lesson) {
+        predictions = {};
+        goTo(0);
+      }
+    });
+
+    return {
+      get lesson() { return lesson; },
+      get step() { return current(); },
+      get index() { return index; },
+      prediction: () => predictions[index],
+      start,
+      stop,
+      next,
+      rewind,
+      setPrediction,
+      allows,
+      update,
+      results,
+      on,
+    };
+  }
+
+  return { createLessonRunner, validateLesson, QUANTITIES };
+});
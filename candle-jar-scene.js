@@ -0,0 +1,663 @@
+/*
+  Water-Rising Candle — scene renderer
+
+  Draws one candle-jar engine onto one canvas, along with the particle effects that belong to
+  that run: bubbles, smoke, soot and condensation. The page makes one scene per run. A camera fits
+  the world to the canvas at any aspect ratio and can zoom in and pan, and a magnifier lens can
+  show a spot up close. Defines window.CandleJarScene; needs candle-jar-engine.js.
+*/
+
+(() => {
+  'use strict';
+
+  const { world, PX_PER_M, BASIN_USABLE_PX, CANDLE_WIDTH_PX } = window.CandleJarEngine;
+
+  function easeOutCubic(t) { return 1 - Math.pow(1 - t, 3); }
+  function easeInOutCubic(t) { return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2; }
+
+  // Heat map of the gas layers, from the water surface to the top of the jar
+  const OVERLAYS = {
+    temperature: {
+      value: l => l.temperatureK - 273.15,
+      hue: v => 220 - 220 * Math.max(0, Math.min(1, (v - 20) / 100)), // 20 °C blue .. 120 °C red
+      format: v => `${v.toFixed(0)} °C`,
+    },
+    oxygen: {
+      value: l => (l.o2 / (l.o2 + l.n2 + l.co2 + l.h2o)) * 100,
+      hue: v => 140 * Math.max(0, Math.min(1, (v - 12) / 9)), // 12% red .. 21% green
+      format: v => `${v.toFixed(1)}% O₂`,
+    },
+  };
+
+  // Particle effects. All are capped and cheap to draw. Bubbles and smoke move in real time so
+  // they stay visible at high speeds; soot and condensation follow the simulation.
+  const BUBBLES_PER_ML = 3;
+  const MAX_BUBBLES = 160;
+  const MAX_SMOKE = 240;
+  const SMOKE_SECONDS = 3; // how long a wick smokes after its flame dies
+  const SOOT_RATE = 0.05; // darkening per second of a standard flame, more when starved of oxygen
+  const DROPLET_MOL = 1e-5; // condensed water per droplet
+  const MAX_DROPLETS = 140;
+
+  const MAX_ZOOM = 6; // relative to the fitted view
+  const LENS_RADIUS = 70; // CSS px
+  const LENS_MAGNIFICATION = 3;
+
+  function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+
+  // `options.overlay()` names the gas-layer overlay to draw, `options.selectedCandle()` the index
+  // of the candle to outline
+  function createScene(canvas, engine, options = {}) {
+    const ctx = canvas.getContext('2d');
+    const state = engine.state;
+    const overlayName = options.overlay || (() => 'off');
+    const selectedCandle = options.selectedCandle || (() => -1);
+    const view = { width: world.width, height: world.height, dpi: 1 }; // canvas size in CSS px
+    const camera = { zoom: 1, x: world.width / 2, y: world.height / 2 }; // world point at the centre
+    let lens = null; // { x, y } in CSS px over the canvas while the magnifier is showing
+    let bubbles = []; // { x, y, r, vy, phase } in world px, animated in real time so they stay visible
+    let bubbleBudget = 0; // fractional bubbles owed to the next frame
+    let smoke = []; // { x, y, vx, vy, r, age, life, ceiling, walls } wisps from candles that just went out
+    let smokeLeft = []; // per candle: seconds of smoking left after its flame died
+    let wasLit = []; // per candle: lit on the previous frame
+    let soot = new Array(16).fill(0); // soot on the jar's closed end, in bins across its width
+    let droplets = []; // { z, side, size, vz } on the inner glass; z in metres above the rim
+    let dropletsSpawned = 0;
+
+    // Sizes the canvas in CSS px; the height defaults to the world's aspect ratio
+    function resize(cssWidth, cssHeight = Math.floor((cssWidth * world.height) / world.width)) {
+      view.dpi = window.devicePixelRatio || 1;
+      view.width = cssWidth;
+      view.height = cssHeight;
+      canvas.width = Math.floor(cssWidth * view.dpi);
+      canvas.height = Math.floor(cssHeight * view.dpi);
+      canvas.style.height = `${cssHeight}px`;
+      clampCamera();
+    }
+
+    // CSS px per world px: the whole world fits at zoom 1
+    function scale() {
+      return Math.min(view.width / world.width, view.height / world.height) * camera.zoom;
+    }
+
+    // Maps world point (cx, cy) to CSS point (sx, sy) at scale k
+    function setTransform(k, cx, cy, sx, sy) {
+      const d = view.dpi;
+      ctx.setTransform(d * k, 0, 0, d * k, d * (sx - cx * k), d * (sy - cy * k));
+    }
+
+    // Keeps the view inside the world once zoomed in, and centred on it while it all fits
+    function clampCamera() {
+      const k = scale();
+      const halfW = view.width / 2 / k;
+      const halfH = view.height / 2 / k;
+      camera.x = halfW * 2 >= world.width ? world.width / 2 : clamp(camera.x, halfW, world.width - halfW);
+      camera.y = halfH * 2 >= world.height ? world.height / 2 : clamp(camera.y, halfH, world.height - halfH);
+    }
+
+    function toWorld(clientX, clientY) {
+      const rect = canvas.getBoundingClientRect();
+      const k = scale();
+      return {
+        x: (clientX - rect.left - view.width / 2) / k + camera.x,
+        y: (clientY - rect.top - view.height / 2) / k + camera.y,
+      };
+    }
+
+    // Zooms by `factor`, keeping the world point under the client position in place
+    function zoomAt(clientX, clientY, factor) {
+      const before = toWorld(clientX, clientY);
+      camera.zoom = clamp(camera.zoom * factor, 1, MAX_ZOOM);
+      const after = toWorld(clientX, clientY);
+      camera.x += before.x - after.x;
+      camera.y += before.y - after.y;
+      clampCamera();
+    }
+
+    function panBy(dx, dy) {
+      const k = scale();
+      camera.x -= dx / k;
+      camera.y -= dy / k;
+      clampCamera();
+    }
+
+    function resetCamera() {
+      camera.zoom = 1;
+      clampCamera();
+    }
+
+    function setLens(clientX, clientY) {
+      const rect = canvas.getBoundingClientRect();
+      lens = { x: clientX - rect.left, y: clientY - rect.top };
+    }
+
+    function hideLens() {
+      lens = null;
+    }
+
+    // World rectangle on screen, for fills that should reach the canvas edges
+    function visibleWorld() {
+      const k = scale();
+      return {
+        left: camera.x - view.width / 2 / k,
+        right: camera.x + view.width / 2 / k,
+        bottom: camera.y + view.height / 2 / k,
+      };
+    }
+
+    function clear() {
+      ctx.save();
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      ctx.restore();
+    }
+
+    function drawBackground() {
+      // light ground with subtle top edge
+      const { left, right, bottom } = visibleWorld();
+      ctx.fillStyle = '#e9edf3';
+      ctx.fillRect(left, world.groundY, right - left, bottom - world.groundY);
+      ctx.fillStyle = '#d1d5db';
+      ctx.fillRect(left, world.groundY - 1, right - left, 1);
+    }
+
+    function drawCandles() {
+      state.candles.forEach((c, i) => {
+        // base shadow on light ground
+        ctx.save();
+        ctx.globalAlpha = 0.15;
+        ctx.fillStyle = '#9aa0a6';
+        ctx.beginPath();
+        ctx.ellipse(c.x, world.groundY - 2, 12, 3, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        ctx.restore();
+
+        // wax (soft warm)
+        ctx.fillStyle = '#f6e7cf';
+        const w = CANDLE_WIDTH_PX;
+        ctx.fillRect(c.x - w / 2, c.y - c.height, w, c.height);
+        ctx.strokeStyle = '#ddcdb7';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(c.x - w / 2 + 0.5, c.y - c.height + 0.5, w - 1, c.height - 1);
+        if (i === selectedCandle()) {
+          ctx.save();
+          ctx.setLineDash([3, 3]);
+          ctx.strokeStyle = '#2563eb';
+          ctx.strokeRect(c.x - w / 2 - 4.5, c.y - c.height - 12.5, w + 9, c.height + 12);
+          ctx.restore();
+        }
+        // wick
+        const wickW = 1 + c.wick;
+        const wickH = 5 + 3 * c.wick;
+        ctx.fillStyle = '#111827';
+        ctx.fillRect(c.x - wickW / 2, c.y - c.height - wickH, wickW, wickH);
+        // flame
+        if (c.lit || c.flame > 0.01) {
+          const size = 0.6 + 0.4 * c.wick;
+          const fh = (16 + 16 * c.flame) * size;
+          const fw = (10 + 6 * c.flame) * size;
+          const cx = c.x;
+          const cy = c.y - c.height - wickH - fh * 0.5;
+          const gradient = ctx.createRadialGradient(cx, cy, 1, cx, cy, fh);
+          gradient.addColorStop(0, 'rgba(255, 220, 120, 0.95)');
+          gradient.addColorStop(0.6, 'rgba(255, 160, 40, 0.6)');
+          gradient.addColorStop(1, 'rgba(255, 80, 0, 0)');
+          ctx.fillStyle = gradient;
+          ctx.beginPath();
+          ctx.ellipse(cx, cy, fw * 0.5, fh * 0.8, 0, 0, Math.PI * 2);
+          ctx.fill();
+        }
+      });
+    }
+
+    // Outline of the vessel's profile with its rim at yRim; `inset` traces the inside of the glass
+    function traceVessel(g, x, yRim, inset = 0) {
+      const steps = 48;
+      const topPx = g.height * PX_PER_M - inset;
+      const point = (i, side) => {
+        const z = (i / steps) * g.height;
+        return [x + side * (g.radiusAt(z) * PX_PER_M - inset), yRim - Math.min(z * PX_PER_M, topPx)];
+      };
+      ctx.beginPath();
+      for (let i = 0; i <= steps; i++) ctx.lineTo(...point(i, -1));
+      for (let i = steps; i >= 0; i--) ctx.lineTo(...point(i, 1));
+      ctx.closePath();
+    }
+
+    // Water surface outside the jar, as drawn by drawBasin()
+    function basinSurfaceY() {
+      return world.groundY - 3 - Math.max(4, state.basin.waterLevel * BASIN_USABLE_PX);
+    }
+
+    function drawJar() {
+      const { placeAnim, placed, lifting, liftAnim } = state.jar;
+      const g = engine.jarGeometry();
+      const x = state.jar.x;
+      const yBottom = world.groundY - 2; // jar touches ground
+
+      if (!placed && !lifting) {
+        drawJarFootprint(g, x, yBottom);
+        return; // only the footprint shows until the jar is placed
+      }
+
+      // Lowered in from above while placeAnim runs, carried back up while lifting
+      const yRim = yBottom - (1 - easeOutCubic(placeAnim)) * 120 - easeInOutCubic(liftAnim) * 160;
+
+      // jar glass (soft on light bg)
+      ctx.save();
+      ctx.globalAlpha = Math.min(1, 0.3 + placeAnim) * (1 - 0.7 * liftAnim);
+      ctx.strokeStyle = 'rgba(180, 200, 215, 0.35)';
+      ctx.lineWidth = 3;
+      ctx.lineJoin = 'round';
+      ctx.fillStyle = 'rgba(170, 190, 210, 0.04)';
+      traceVessel(g, x, yRim);
+      ctx.fill();
+      ctx.stroke();
+      if (state.jar.shape === 'beaker') drawGraduations(g, x, yRim);
+      ctx.restore();
+
+      // water inside jar (rises), filling the vessel's own cross-section
+      if (placeAnim >= 1) {
+        const insideBottom = yBottom - 2;
+        const waterInsideTop = Math.min(insideBottom, basinSurfaceY() - state.waterRise * PX_PER_M);
+        const r = state.jar.diameter / 2;
+        ctx.save();
+        traceVessel(g, x, yRim, 3);
+        ctx.clip();
+        ctx.fillStyle = 'rgba(130, 180, 210, 0.22)';
+        ctx.fillRect(x - r, waterInsideTop, r * 2, insideBottom - waterInsideTop);
+        // meniscus
+        ctx.fillStyle = 'rgba(160, 200, 225, 0.22)';
+        ctx.fillRect(x - r, waterInsideTop - 2, r * 2, 2);
+        drawSoot(g, x, yRim);
+        drawDroplets(g, x, yRim);
+        if (overlayName() in OVERLAYS) drawLayerOverlay(x - r, r * 2, yRim);
+        ctx.restore();
+        if (overlayName() in OVERLAYS) drawLayerLabels(x + r + 8, yRim);
+      }
+    }
+
+    // Volume marks measured from the rim, so they read off the water drawn in directly
+    function drawGraduations(g, x, yRim) {
+      ctx.strokeStyle = 'rgba(100, 120, 140, 0.55)';
+      ctx.fillStyle = 'rgba(75, 85, 99, 0.8)';
+      ctx.lineWidth = 1;
+      ctx.font = '10px ui-sans-serif, system-ui, sans-serif';
+      ctx.textBaseline = 'middle';
+      for (let ml = 100; ml * 1e-6 < g.volume * 0.95; ml += 100) {
+        const z = g.heightForVolume(ml * 1e-6);
+        const y = yRim - z * PX_PER_M;
+        const left = x - g.radiusAt(z) * PX_PER_M + 4;
+        const major = ml % 200 === 0;
+        ctx.beginPath();
+        ctx.moveTo(left, y);
+        ctx.lineTo(left + (major ? 14 : 8), y);
+        ctx.stroke();
+        if (major) ctx.fillText(`${ml} mL`, left + 18, y);
+      }
+    }
+
+    // Dashed outline of where the lifted jar will land; red while the rim would hit a candle
+    function drawJarFootprint(g, x, yBottom) {
+      const blocked = engine.rimBlocked();
+      ctx.save();
+      ctx.setLineDash([6, 5]);
+      ctx.lineWidth = 1.5;
+      ctx.lineJoin = 'round';
+      ctx.strokeStyle = blocked ? 'rgba(220, 38, 38, 0.55)' : 'rgba(100, 130, 160, 0.35)';
+      traceVessel(g, x, yBottom);
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    // Expects the vessel interior as the current clip region
+    function drawLayerOverlay(left, width, yRim) {
+      const overlay = OVERLAYS[overlayName()];
+      engine.layerBounds().forEach(([z0, z1], k) => {
+        ctx.fillStyle = `hsla(${overlay.hue(overlay.value(state.gas.layers[k]))}, 85%, 55%, 0.28)`;
+        ctx.fillRect(left, yRim - z1 * PX_PER_M, width, (z1 - z0) * PX_PER_M + 0.5);
+      });
+    }
+
+    // Values of the top and bottom layers beside the jar
+    function drawLayerLabels(x, yRim) {
+      const overlay = OVERLAYS[overlayName()];
+      const bounds = engine.layerBounds();
+      const layers = state.gas.layers;
+      const mid = ([z0, z1]) => yRim - ((z0 + z1) / 2) * PX_PER_M;
+      ctx.save();
+      ctx.fillStyle = '#374151';
+      ctx.font = '11px ui-sans-serif, system-ui, sans-serif';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(overlay.format(overlay.value(layers[layers.length - 1])), x, mid(bounds[bounds.length - 1]));
+      ctx.fillText(overlay.format(overlay.value(layers[0])), x, mid(bounds[0]));
+      ctx.restore();
+    }
+
+    function drawBasin() {
+      // wide, shallow glass basin in foreground
+      const basinWidth = engine.basinWidthPx();
+      const basinHeight = 36;
+      const centerX = world.width * 0.5;
+      const x = Math.floor(centerX - basinWidth / 2);
+      const y = world.groundY; // rim sits on ground
+
+      ctx.save();
+      const radius = 10;
+      ctx.beginPath();
+      ctx.roundRect(x, y - basinHeight, basinWidth, basinHeight, radius);
+
+      // clip interior to draw water
+      ctx.save();
+      ctx.clip();
+      const innerPad = 3;
+      const usableHeight = basinHeight - innerPad * 2;
+      const waterHeight = Math.max(4, state.basin.waterLevel * usableHeight);
+      const waterTop = y - innerPad - waterHeight;
+      const wg = ctx.createLinearGradient(0, waterTop, 0, y - innerPad);
+      wg.addColorStop(0, 'rgba(150, 190, 210, 0.18)');
+      wg.addColorStop(1, 'rgba(150, 190, 210, 0.10)');
+      ctx.fillStyle = wg;
+      ctx.fillRect(x + innerPad, waterTop, basinWidth - innerPad * 2, waterHeight);
+      // water surface highlight
+      ctx.fillStyle = 'rgba(220, 240, 255, 0.15)';
+      ctx.fillRect(x + innerPad, waterTop - 1.5, basinWidth - innerPad * 2, 1.5);
+      ctx.restore();
+
+      // subtle glass fill and stroke (lighter on light bg)
+      const gg = ctx.createLinearGradient(x, y - basinHeight, x + basinWidth, y);
+      gg.addColorStop(0, 'rgba(210, 225, 240, 0.06)');
+      gg.addColorStop(1, 'rgba(210, 225, 240, 0.04)');
+      ctx.fillStyle = gg;
+      ctx.fill();
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = 'rgba(180, 200, 215, 0.35)';
+      ctx.stroke();
+
+      // specular highlight stripe on glass
+      ctx.beginPath();
+      ctx.rect(x + Math.floor(basinWidth * 0.12), y - basinHeight + 4, 6, basinHeight - 8);
+      const hg = ctx.createLinearGradient(0, y - basinHeight, 0, y);
+      hg.addColorStop(0, 'rgba(255,255,255,0.12)');
+      hg.addColorStop(0.5, 'rgba(255,255,255,0.03)');
+      hg.addColorStop(1, 'rgba(255,255,255,0.00)');
+      ctx.fillStyle = hg;
+      ctx.fill();
+
+      // soft shadow under basin (lighter)
+      ctx.globalAlpha = 0.10;
+      ctx.fillStyle = '#bfbfbf';
+      ctx.beginPath();
+      ctx.ellipse(centerX, y + 6, basinWidth * 0.42, 6, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.globalAlpha = 1;
+      ctx.restore();
+    }
+
+    function clearEffects() {
+      bubbles = [];
+      bubbleBudget = 0;
+      smoke = [];
+      smokeLeft = [];
+      wasLit = state.candles.map(c => c.lit);
+      soot.fill(0);
+      droplets = [];
+      dropletsSpawned = 0;
+    }
+
+    // `dt` is real time, `simDt` the simulated time that passed in the same frame
+    function updateEffects(dt, simDt) {
+      updateBubbles(dt);
+      updateSmoke(dt);
+      updateSoot(simDt);
+      updateDroplets(dt);
+    }
+
+    // Gas escaping under the rim: bubbles leave both edges and rise to the basin surface
+    function updateBubbles(dt) {
+      const rate = Math.min(60, state.jar.ventRate * 1e6 * BUBBLES_PER_ML); // bubbles per real second
+      bubbleBudget += state.jar.placed ? rate * dt : 0;
+      const rim = engine.jarGeometry().radius * PX_PER_M;
+      while (bubbleBudget >= 1 && bubbles.length < MAX_BUBBLES) {
+        bubbleBudget -= 1;
+        const side = Math.random() < 0.5 ? -1 : 1;
+        const r = 1.5 + Math.random() * 2.5;
+        bubbles.push({
+          x: state.jar.x + side * (rim + 2 + Math.random() * 5),
+          y: world.groundY - 4,
+          r,
+          vy: 25 + r * 8, // bigger bubbles rise faster
+          phase: Math.random() * Math.PI * 2,
+        });
+      }
+      bubbleBudget = Math.min(bubbleBudget, 1);
+      const top = basinSurfaceY();
+      bubbles.forEach(b => {
+        b.y -= b.vy * dt;
+        b.x += Math.sin(b.phase + b.y * 0.3) * 0.4;
+      });
+      bubbles = bubbles.filter(b => b.y - b.r > top);
+    }
+
+    function drawBubbles() {
+      ctx.save();
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = 'rgba(90, 140, 175, 0.55)';
+      ctx.fillStyle = 'rgba(235, 245, 255, 0.45)';
+      bubbles.forEach(b => {
+        ctx.beginPath();
+        ctx.arc(b.x, b.y, b.r, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+      });
+      ctx.restore();
+    }
+
+    function wickTopY(c) {
+      return c.y - c.height - (5 + 3 * c.wick);
+    }
+
+    // A wick keeps smoking for a few seconds after its flame dies; under the jar the smoke
+    // spreads out against the closed end
+    function updateSmoke(dt) {
+      const jarTop = world.groundY - 2 - state.jar.height;
+      const r = state.jar.diameter / 2 - 4;
+      state.candles.forEach((c, i) => {
+        if (wasLit[i] && !c.lit) smokeLeft[i] = SMOKE_SECONDS;
+        wasLit[i] = c.lit;
+        if (!(smokeLeft[i] > 0)) return;
+        smokeLeft[i] -= dt;
+        const strength = smokeLeft[i] / SMOKE_SECONDS;
+        if (smoke.length >= MAX_SMOKE || Math.random() > strength * 0.9) return;
+        const covered = (state.jar.placed || state.jar.lifting) && engine.candleInside(c);
+        smoke.push({
+          x: c.x + (Math.random() - 0.5) * 2,
+          y: wickTopY(c),
+          vx: (Math.random() - 0.5) * 6,
+          vy: -(25 + Math.random() * 15),
+          r: 1.5 + Math.random(),
+          age: 0,
+          life: 2 + Math.random() * 1.5,
+          ceiling: covered ? jarTop + 6 : -Infinity,
+          walls: covered ? [state.jar.x - r, state.jar.x + r] : [-Infinity, Infinity],
+        });
+      });
+      smoke.forEach(p => {
+        p.age += dt;
+        p.x += p.vx * dt + Math.sin(p.age * 3 + p.life) * 0.3;
+        p.y += p.vy * dt;
+        p.r += dt * 4;
+        if (p.y < p.ceiling) {
+          p.y = p.ceiling;
+          p.vx += (p.vx < 0 ? -1 : 1) * 20 * dt; // flattens out along the glass
+        }
+        p.x = Math.max(p.walls[0], Math.min(p.walls[1], p.x));
+      });
+      smoke = smoke.filter(p => p.age < p.life);
+    }
+
+    function drawSmoke() {
+      ctx.save();
+      smoke.forEach(p => {
+        ctx.fillStyle = `rgba(110, 115, 125, ${0.22 * (1 - p.age / p.life)})`;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, p.r, 0, Math.PI * 2);
+        ctx.fill();
+      });
+      ctx.restore();
+    }
+
+    // Plumes deposit soot on the closed end above each burning candle
+    function updateSoot(simDt) {
+      if (!state.jar.placed || simDt <= 0) return;
+      const d = state.jar.diameter;
+      state.candles.forEach(c => {
+        if (!c.lit || !engine.candleInside(c)) return;
+        const o2 = engine.oxygenAtHeight(c.height / PX_PER_M);
+        const starved = 1 + 3 * Math.max(0, (0.21 - o2) / 0.055);
+        const bin = Math.floor(((c.x - state.jar.x) / d + 0.5) * soot.length);
+        const amount = SOOT_RATE * c.flame * c.wick * starved * simDt;
+        for (let k = -1; k <= 1; k++) {
+          const j = bin + k;
+          if (j >= 0 && j < soot.length) soot[j] = Math.min(1, soot[j] + amount * (k === 0 ? 0.5 : 0.25));
+        }
+      });
+    }
+
+    // Expects the vessel interior as the current clip region
+    function drawSoot(g, x, yRim) {
+      const d = state.jar.diameter;
+      const yTop = yRim - g.height * PX_PER_M;
+      const spread = (d / soot.length) * 2.5;
+      soot.forEach((amount, i) => {
+        if (amount < 0.005) return;
+        const cx = x - d / 2 + ((i + 0.5) / soot.length) * d;
+        const gr = ctx.createRadialGradient(cx, yTop, 0, cx, yTop, spread);
+        gr.addColorStop(0, `rgba(40, 35, 30, ${Math.min(0.5, amount)})`);
+        gr.addColorStop(1, 'rgba(40, 35, 30, 0)');
+        ctx.fillStyle = gr;
+        ctx.fillRect(cx - spread, yTop, spread * 2, spread);
+      });
+    }
+
+    // One droplet per DROPLET_MOL condensed on the glass. Droplets grow, and heavy ones run down
+    // until they reach the water.
+    function updateDroplets(dt) {
+      const column = engine.gasColumn();
+      while (state.jar.condensed > (dropletsSpawned + 1) * DROPLET_MOL && droplets.length < MAX_DROPLETS) {
+        dropletsSpawned++;
+        droplets.push({
+          z: column.bottom + Math.random() * (column.top - column.bottom),
+          side: Math.random() < 0.5 ? -1 : 1,
+          size: 0.6 + Math.random() * 0.6,
+          vz: 0,
+        });
+      }
+      if (state.jar.condensed > (dropletsSpawned + 1) * DROPLET_MOL) {
+        // Full: more condensation only grows the droplets already there
+        dropletsSpawned++;
+        const d = droplets[Math.floor(Math.random() * droplets.length)];
+        d.size += 0.4;
+      }
+      droplets.forEach(d => {
+        if (d.size > 2.8) d.vz = Math.min(0.02, d.vz + dt * 0.02); // m/s
+        d.z -= d.vz * dt;
+      });
+      droplets = droplets.filter(d => d.z > column.bottom);
+    }
+
+    // Expects the vessel interior as the current clip region
+    function drawDroplets(g, x, yRim) {
+      ctx.fillStyle = 'rgba(200, 225, 240, 0.6)';
+      ctx.strokeStyle = 'rgba(120, 160, 190, 0.45)';
+      ctx.lineWidth = 0.75;
+      droplets.forEach(d => {
+        const px = x + d.side * (g.radiusAt(d.z) * PX_PER_M - 3 - d.size);
+        const py = yRim - d.z * PX_PER_M;
+        ctx.beginPath();
+        ctx.ellipse(px, py, d.size, d.size * 1.2, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+      });
+    }
+
+    function drawRipples() {
+      // subtle ripples based on water level outside
+      const t = state.time * 0.8;
+      const y = world.waterLevel + Math.sin(t) * 1.5;
+      ctx.strokeStyle = 'rgba(120,180,220,0.25)';
+      ctx.lineWidth = 1;
+      for (let i = 0; i < 6; i++) {
+        ctx.beginPath();
+        ctx.moveTo(0, y + i * 8);
+        ctx.bezierCurveTo(240, y + i * 8 + Math.sin(t + i) * 2, 720, y + i * 8 + Math.cos(t + i) * 2, world.width, y + i * 8);
+        ctx.stroke();
+      }
+    }
+
+    function drawScene() {
+      drawBackground();
+      // background elements: jar first
+      drawJar();
+      // then candles
+      drawCandles();
+      drawSmoke();
+      // foreground element: basin
+      drawBasin();
+      drawBubbles();
+    }
+
+    function render() {
+      clear();
+      setTransform(scale(), camera.x, camera.y, view.width / 2, view.height / 2);
+      drawScene();
+      if (lens) drawLens();
+    }
+
+    // Draws the scene again, magnified, inside a circle around the lens position
+    function drawLens() {
+      const k = scale();
+      const center = {
+        x: (lens.x - view.width / 2) / k + camera.x,
+        y: (lens.y - view.height / 2) / k + camera.y,
+      };
+      ctx.save();
+      ctx.setTransform(view.dpi, 0, 0, view.dpi, 0, 0);
+      ctx.beginPath();
+      ctx.arc(lens.x, lens.y, LENS_RADIUS, 0, Math.PI * 2);
+      ctx.clip();
+      ctx.fillStyle = '#f4f7fb';
+      ctx.fillRect(lens.x - LENS_RADIUS, lens.y - LENS_RADIUS, LENS_RADIUS * 2, LENS_RADIUS * 2);
+      setTransform(k * LENS_MAGNIFICATION, center.x, center.y, lens.x, lens.y);
+      drawScene();
+      ctx.restore();
+
+      ctx.save();
+      ctx.setTransform(view.dpi, 0, 0, view.dpi, 0, 0);
+      ctx.strokeStyle = 'rgba(55, 65, 81, 0.6)';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(lens.x, lens.y, LENS_RADIUS, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    return {
+      canvas,
+      engine,
+      resize,
+      toWorld,
+      zoomAt,
+      panBy,
+      resetCamera,
+      setLens,
+      hideLens,
+      render,
+      updateEffects,
+      clearEffects,
+    };
+  }
+
+  window.CandleJarScene = { createScene, OVERLAYS };
+})();
@@ -3,401 +3,1021 @@
 
   // Configuration and state
   const canvas = document.getElementById('scene');
-  const ctx = canvas.getContext('2d');
 
   // UI elements
   const elCandleCount = document.getElementById('candleCount');
   const elCandleCountValue = document.getElementById('candleCountValue');
   const elJarDiameter = document.getElementById('jarDiameter');
   const elJarDiameterValue = document.getElementById('jarDiameterValue');
+  const elVessel = document.getElementById('vessel');
+  const elJarHeight = document.getElementById('jarHeight');
+  const elJarHeightValue = document.getElementById('jarHeightValue');
+  const elJarVolume = document.getElementById('jarVolume');
+  const elWaterVolume = document.getElementById('waterVolume');
+  const elVented = document.getElementById('vented');
   const elSpeed = document.getElementById('speed');
   const elSpeedValue = document.getElementById('speedValue');
   const elBtnLight = document.getElementById('btnLight');
   const elBtnJar = document.getElementById('btnJar');
   const elBtnReset = document.getElementById('btnReset');
+  const elJarMessage = document.getElementById('jarMessage');
   const elOxygen = document.getElementById('oxygen');
   const elWater = document.getElementById('water');
+  const elPressure = document.getElementById('pressure');
+  const elTemperature = document.getElementById('temperature');
+  const elWax = document.getElementById('wax');
+  const chartCanvas = document.getElementById('chart');
+  const chartCtx = chartCanvas.getContext('2d');
+  const elBtnPlay = document.getElementById('btnPlay');
+  const elBtnStep = document.getElementById('btnStep');
+  const elTimeline = document.getElementById('timeline');
+  const elTimeValue = document.getElementById('timeValue');
+  const elPauseOnEvents = document.getElementById('pauseOnEvents');
+  const elTimelineStatus = document.getElementById('timelineStatus');
+  const elBtnCsv = document.getElementById('btnCsv');
+  const elBtnJson = document.getElementById('btnJson');
+  const elLayerOverlay = document.getElementById('layerOverlay');
+  const elCandleEditor = document.getElementById('candleEditor');
+  const elCandleEditorTitle = document.getElementById('candleEditorTitle');
+  const elBtnCandleLit = document.getElementById('btnCandleLit');
+  const elCandleHeight = document.getElementById('candleHeight');
+  const elCandleHeightValue = document.getElementById('candleHeightValue');
+  const elCandleWick = document.getElementById('candleWick');
+  const elCandleWickValue = document.getElementById('candleWickValue');
+  const elLesson = document.getElementById('lesson');
+  const elLessonPanel = document.getElementById('lessonPanel');
+  const elLessonTitle = document.getElementById('lessonTitle');
+  const elLessonProgress = document.getElementById('lessonProgress');
+  const elLessonText = document.getElementById('lessonText');
+  const elLessonPredict = document.getElementById('lessonPredict');
+  const elLessonPredictLabel = document.getElementById('lessonPredictLabel');
+  const elLessonPredictInput = document.getElementById('lessonPredictInput');
+  const elLessonPredictUnit = document.getElementById('lessonPredictUnit');
+  const elLessonResults = document.getElementById('lessonResults');
+  const elBtnLessonNext = document.getElementById('btnLessonNext');
+  const elBtnLessonExit = document.getElementById('btnLessonExit');
+  const elBtnCompare = document.getElementById('btnCompare');
+  const elBtnAddRun = document.getElementById('btnAddRun');
+  const elRuns = document.getElementById('runs');
+  const elMainRunHead = document.getElementById('mainRunHead');
+  const elMainRunReadout = document.getElementById('mainRunReadout');
+  const elCompareRunTemplate = document.getElementById('compareRunTemplate');
+  const compareChartCanvas = document.getElementById('compareChart');
+  const compareChartCtx = compareChartCanvas.getContext('2d');
+  const elBtnZoomIn = document.getElementById('btnZoomIn');
+  const elBtnZoomOut = document.getElementById('btnZoomOut');
+  const elBtnZoomFit = document.getElementById('btnZoomFit');
+  const elBtnLens = document.getElementById('btnLens');
+  const elBtnRecord = document.getElementById('btnRecord');
+  const elBtnFrames = document.getElementById('btnFrames');
+  const elFramesSeconds = document.getElementById('framesSeconds');
+  const elHudOverlay = document.getElementById('hudOverlay');
 
-  const defaults = window.__SIM_DEFAULTS__ || { candleCount: 3, jarDiameterPx: 320, speedMultiplier: 3 };
-
-  // World coordinate system
-  const world = {
-    width: 960,
-    height: 560,
-    groundY: 480,
-    waterLevel: 520, // y coordinate of water top outside the jar (lower is higher visually)
-  };
-
-  function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
-  function lerp(a, b, t) { return a + (b - a) * t; }
-  function easeOutCubic(t) { return 1 - Math.pow(1 - t, 3); }
-
-  // Simulation state
-  let state = {
-    candles: [],
-    jar: {
-      placed: false,
-      x: world.width * 0.6,
-      y: world.groundY - 10,
-      diameter: defaults.jarDiameterPx,
-      placeAnim: 0,
-    },
-    oxygenInside: 1.0, // 1.0 = 21% O2 baseline normalized
-    temperatureInside: 1.0, // normalized; cools after jar is placed
-    waterRise: 0.0, // 0..1 visual interpolation
-    isLit: false,
-    speed: defaults.speedMultiplier,
-    time: 0,
-    basin: {
-      waterLevel: 0.6, // 0..1 proportion of basin height filled
-      capacityPx: 200, // visual height of basin water for 100%
-    }
-  };
-
-  function initCandles(count) {
-    const spacing = 46;
-    state.candles = Array.from({ length: count }).map((_, i) => ({
-      x: 0,
-      y: world.groundY,
-      height: 180 + (i % 2) * 10,
-      lit: false,
-      flame: 0,
-    }));
-    layoutCandlesAround(state.jar.x || world.width * 0.5, spacing);
-  }
-
-  function layoutCandlesAround(centerX, spacing = 46) {
-    const n = state.candles.length;
-    const startX = centerX - ((n - 1) * spacing) / 2;
-    for (let i = 0; i < n; i++) {
-      state.candles[i].x = startX + i * spacing;
-    }
-  }
+  const defaults = window.__SIM_DEFAULTS__ || { candleCount: 3, vessel: 'cylinder', speedMultiplier: 3 };
+
+  const {
+    createEngine, world, PX_PER_M, PX_PER_CM, WAXES, VESSELS, CANDLE_WIDTH_PX,
+    CANDLE_HEIGHT_RANGE, WICK_RANGE, JAR_DIAMETER_RANGE_CM, JAR_HEIGHT_RANGE_CM,
+  } = window.CandleJarEngine;
+
+  // The engine owns the simulation; this file only draws it and wires the page
+  const engine = createEngine({
+    candleCount: defaults.candleCount,
+    vessel: defaults.vessel,
+    jarDiameterPx: defaults.jarDiameterPx,
+    wax: defaults.wax,
+    seed: (Math.random() * 2 ** 32) >>> 0,
+  });
+  const state = engine.state;
+  const recording = engine.recording;
+  const lesson = window.CandleJarLesson.createLessonRunner(engine);
+  const scene = window.CandleJarScene.createScene(canvas, engine, {
+    overlay: () => elLayerOverlay.value,
+    selectedCandle: () => selectedCandle,
+  });
+  let speed = defaults.speedMultiplier;
+  let selectedCandle = -1; // index of the candle shown in the candle editor
+  let playing = true;
+  let history = []; // engine snapshots, one per HISTORY_INTERVAL of simulated time
+  let historyIndex = -1; // snapshot on screen while looking back; -1 when live
+  let compareRuns = []; // { engine, scene, pane, fields, readout } for runs B, C, ... next to this one
+  let lensOn = false; // magnifier follows the pointer over a scene
+  let exporting = false; // stepping frame by frame for a PNG export
 
   function reset(hard = false) {
-    // set jar near center first, then lay out candles around it
-    state.jar.x = world.width * 0.5;
-    initCandles(parseInt(elCandleCount.value, 10) || defaults.candleCount);
-    state.jar.diameter = parseInt(elJarDiameter.value, 10) || defaults.jarDiameterPx;
-    state.speed = parseFloat(elSpeed.value) || defaults.speedMultiplier;
-    state.isLit = false;
-    state.jar.placed = false;
-    state.jar.placeAnim = 0;
-    state.oxygenInside = 1.0;
-    state.temperatureInside = 1.0;
-    state.waterRise = 0.0;
-    state.time = 0;
-    state.basin.waterLevel = 0.6;
+    engine.reset({
+      candleCount: parseInt(elCandleCount.value, 10) || defaults.candleCount,
+      vessel: elVessel.value,
+      jarDiameterPx: parseFloat(elJarDiameter.value) * PX_PER_CM,
+      jarHeightPx: parseFloat(elJarHeight.value) * PX_PER_CM,
+      wax: elWax.value,
+      seed: (Math.random() * 2 ** 32) >>> 0,
+    });
+    // Runs being compared restart with their own settings, so they all start together
+    compareRuns.forEach(run => { run.engine.reset({ seed: (Math.random() * 2 ** 32) >>> 0 }); });
+    speed = parseFloat(elSpeed.value) || defaults.speedMultiplier;
+    selectCandle(-1);
+    allScenes().forEach(sc => sc.clearEffects());
+    history = [takeSnapshot()];
+    historyIndex = -1;
     if (hard) fitCanvasToContainer();
     updateUiReadouts();
   }
 
-  function lightCandles() {
-    state.isLit = true;
-    state.candles.forEach(c => { c.lit = true; });
+  function syncJarSliders() {
+    elJarDiameter.value = String(state.jar.diameter / PX_PER_CM);
+    elJarHeight.value = String(state.jar.height / PX_PER_CM);
   }
 
-  function toggleJar() {
-    state.jar.placed = !state.jar.placed;
-    state.jar.placeAnim = 0;
+  // Per-candle editing: click a candle to light or snuff it, drag it along the ground
+  function selectCandle(i) {
+    selectedCandle = state.candles[i] ? i : -1;
+    updateCandleEditor();
   }
 
-  // Physics-ish model
-  function step(dt) {
-    const simDt = dt * state.speed;
-    state.time += simDt;
+  function updateCandleEditor() {
+    const c = state.candles[selectedCandle];
+    elCandleEditor.hidden = !c;
+    if (!c) return;
+    elCandleEditorTitle.textContent = `Candle ${selectedCandle + 1}`;
+    elBtnCandleLit.textContent = c.lit ? 'Snuff' : 'Light';
+    elCandleHeight.value = String(c.height);
+    elCandleHeightValue.textContent = `${(c.height / PX_PER_M * 100).toFixed(1)} cm`;
+    elCandleWick.value = String(c.wick);
+    elCandleWickValue.textContent = `${c.wick.toFixed(2)}×`;
+  }
 
-    // Animate jar placement
-    if (state.jar.placeAnim < 1 && (state.jar.placed || state.jar.placeAnim > 0)) {
-      state.jar.placeAnim = clamp(state.jar.placeAnim + simDt * 2.5, 0, 1);
-    }
+  // Guided lessons: scripts live in lessons/, listed in lessons/index.json
+  const LESSON_DIR = './lessons/';
+  let lessonStepShown = -1; // step whose prediction input was last filled in
 
-    // Flame and oxygen dynamics
-    const activeFlames = state.candles.filter(c => c.lit).length;
-    const insideVolume = Math.PI * Math.pow(state.jar.diameter / 2, 2) * 1; // pseudo volume
-    const oxygenUsePerFlame = 0.08; // per second baseline (faster for visualization)
-    const oxygenCoolingFactor = state.jar.placed ? 1.0 : 0.15; // if not placed, nearly infinite air, tiny effect
-
-    if (state.isLit) {
-      state.candles.forEach(c => {
-        const o2Factor = clamp(state.oxygenInside, 0, 1);
-        const flicker = 0.7 + Math.random() * 0.6;
-        c.flame = lerp(c.flame, c.lit ? flicker * o2Factor : 0, 0.1);
-        if (c.lit && state.jar.placed && state.oxygenInside <= 0.03) {
-          c.lit = false; // flames die when oxygen too low
+  function loadLessonList() {
+    fetch(`${LESSON_DIR}index.json`)
+      .then(res => (res.ok ? res.json() : Promise.reject(new Error(res.statusText))))
+      .then(list => {
+        list.forEach(({ file, title }) => {
+          const option = document.createElement('option');
+          option.value = file;
+          option.textContent = title;
+          elLesson.appendChild(option);
+        });
+      })
+      .catch(() => {
+        // Pages opened straight from disk can't fetch the lesson files
+        elLesson.disabled = true;
+        elLesson.title = 'Lessons need the page to be served over http(s)';
+      });
+  }
+
+  function startLesson(file) {
+    if (!file) {
+      lesson.stop();
+      return;
+    }
+    fetch(LESSON_DIR + file)
+      .then(res => (res.ok ? res.json() : Promise.reject(new Error(`Could not load ${file}`))))
+      .then(script => {
+        lesson.start(script);
+        // Lay out the lesson's experiment, then start it from scratch
+        const setup = script.setup || {};
+        if (setup.candleCount) elCandleCount.value = String(setup.candleCount);
+        if (setup.wax in WAXES) elWax.value = setup.wax;
+        if (setup.vessel in VESSELS) {
+          elVessel.value = setup.vessel;
+          elJarDiameter.value = String(VESSELS[setup.vessel].diameterCm);
+          elJarHeight.value = String(VESSELS[setup.vessel].heightCm);
         }
+        setPlaying(true);
+        reset(true);
+      })
+      .catch(err => {
+        lesson.stop();
+        elLesson.value = '';
+        showJarMessage(err.message);
       });
+  }
 
-      // Consume oxygen if jar is placed; otherwise negligible change
-      if (state.jar.placed) {
-        const jarFactor = clamp(320 / (state.jar.diameter + 1e-5), 0.5, 1.5);
-        state.oxygenInside = clamp(
-          state.oxygenInside - activeFlames * oxygenUsePerFlame * simDt * jarFactor,
-          0, 1
-        );
-      } else {
-        // open air slowly replenishes to 1
-        state.oxygenInside = clamp(lerp(state.oxygenInside, 1, 0.02 * simDt), 0, 1);
-      }
+  function renderLesson() {
+    const step = lesson.step;
+    elLessonPanel.hidden = !step;
+    lockActions();
+    if (!step) {
+      lessonStepShown = -1;
+      return;
+    }
+    const steps = lesson.lesson.steps;
+    elLessonTitle.textContent = lesson.lesson.title;
+    elLessonProgress.textContent = `Step ${lesson.index + 1} of ${steps.length}`;
+    elLessonText.textContent = step.text;
+
+    elLessonPredict.hidden = !step.predict;
+    if (step.predict && lessonStepShown !== lesson.index) {
+      const { label, unit, min, max, step: increment } = step.predict;
+      elLessonPredictLabel.textContent = label;
+      elLessonPredictUnit.textContent = unit || '';
+      elLessonPredictInput.min = min === undefined ? '' : String(min);
+      elLessonPredictInput.max = max === undefined ? '' : String(max);
+      elLessonPredictInput.step = increment === undefined ? 'any' : String(increment);
+      const value = lesson.prediction();
+      elLessonPredictInput.value = value === undefined ? '' : String(value);
+    }
+    lessonStepShown = lesson.index;
+
+    elLessonResults.hidden = !step.results;
+    if (step.results) renderLessonResults();
+    const last = lesson.index === steps.length - 1;
+    elBtnLessonNext.disabled = last || !!step.waitFor || (!!step.predict && lesson.prediction() === undefined);
+  }
+
+  function renderLessonResults() {
+    const fmt = (v, unit) => (v === null || v === undefined ? '—' : `${v.toFixed(1)} ${unit}`);
+    const rows = lesson.results().map(r => {
+      const diff = r.difference === null ? '—' : `${r.difference > 0 ? '+' : ''}${r.difference.toFixed(1)} ${r.unit}`;
+      return `<tr><td>${r.label}</td><td>${fmt(r.predicted, r.unit)}</td><td>${fmt(r.actual, r.unit)}</td><td>${diff}</td></tr>`;
+    });
+    elLessonResults.innerHTML =
+      '<tr><th></th><th>You said</th><th>Simulation</th><th>Difference</th></tr>' + rows.join('');
+  }
+
+  // Outside a lesson everything is unlocked
+  function lockActions() {
+    elBtnLight.disabled = !lesson.allows('light');
+    elBtnJar.disabled = state.jar.lifting || !lesson.allows('jar');
+  }
+
+  function pointerToWorld(e) {
+    return scene.toWorld(e.clientX, e.clientY);
+  }
+
+  // Topmost candle under a point, including its wick and flame
+  function candleAt(x, y) {
+    for (let i = state.candles.length - 1; i >= 0; i--) {
+      const c = state.candles[i];
+      if (Math.abs(x - c.x) <= CANDLE_WIDTH_PX / 2 + 4 && y <= c.y && y >= c.y - c.height - 36) return i;
+    }
+    return -1;
+  }
+
+  // The lifted jar can be dragged anywhere along its footprint on the ground
+  function jarFootprintAt(x, y) {
+    const r = state.jar.diameter / 2;
+    return !state.jar.placed && !state.jar.lifting && Math.abs(x - state.jar.x) <= r && y <= world.groundY && y >= world.groundY - state.jar.height;
+  }
+
+  let drag = null; // { kind: 'candle' | 'jar', index, startX, offset, moved }
+
+  function onCanvasPointerDown(e) {
+    const { x, y } = pointerToWorld(e);
+    const i = candleAt(x, y);
+    selectCandle(i);
+    if (i >= 0) {
+      drag = { kind: 'candle', index: i, startX: x, offset: 0, moved: false };
+    } else if (jarFootprintAt(x, y)) {
+      drag = { kind: 'jar', index: -1, startX: x, offset: state.jar.x - x, moved: false };
     } else {
-      state.candles.forEach(c => { c.flame = lerp(c.flame, 0, 0.2); });
+      return;
     }
+    canvas.setPointerCapture(e.pointerId);
+  }
 
-    // Temperature model: when jar placed and flames burning, temp rises a bit then falls as O2 drops
-    const heatInput = state.jar.placed ? activeFlames * 0.02 : 0;
-    state.temperatureInside = clamp(
-      state.temperatureInside + (heatInput - 0.015 * (state.temperatureInside - 1)) * simDt,
-      0.8, 1.25
-    );
-
-    // Water rise model: combination of cooling (pressure drop) and oxygen consumed (moles decrease)
-    // We map it to a visual rise ratio 0..1 based on an estimated effect scale and jar volume.
-    let targetRise = 0;
-    if (state.jar.placed) {
-      const oxygenLoss = 1 - state.oxygenInside; // 0..1
-      const coolingDrop = clamp(1 - state.temperatureInside, 0, 0.3); // normalized
-      const combined = clamp(oxygenLoss * 0.6 + coolingDrop * 0.8, 0, 1);
-      targetRise = combined;
+  function onCanvasPointerMove(e) {
+    const { x, y } = pointerToWorld(e);
+    if (!drag) {
+      canvas.style.cursor = candleAt(x, y) >= 0 ? 'pointer' : jarFootprintAt(x, y) ? 'grab' : '';
+      return;
+    }
+    if (Math.abs(x - drag.startX) > 4) drag.moved = true;
+    if (!drag.moved) return;
+    branchIfScrubbed();
+    const moved = drag.kind === 'jar' ? engine.moveJar(x + drag.offset) : engine.moveCandle(drag.index, x);
+    if (moved) {
+      canvas.style.cursor = 'grabbing';
+      showJarMessage('');
     }
-    state.waterRise = lerp(state.waterRise, targetRise, 1.2 * simDt);
+  }
 
-    // Basin water decreases slowly as jar water increases
-    const basinDrain = Math.max(0, state.waterRise - 0) * 0.05 * simDt; // slow drain
-    if (state.jar.placed) {
-      state.basin.waterLevel = clamp(state.basin.waterLevel - basinDrain, 0.05, 1);
+  function onCanvasPointerUp() {
+    if (!drag) return;
+    // A click lights or snuffs the candle, unless a lesson step has that locked
+    if (drag.kind === 'candle' && !drag.moved && lesson.allows('light')) {
+      const c = state.candles[drag.index];
+      branchIfScrubbed();
+      engine.setCandleLit(drag.index, !c.lit);
     }
+    drag = null;
+    canvas.style.cursor = '';
+    updateCandleEditor();
+  }
 
-    updateUiReadouts();
+  // Camera gestures on a scene's canvas: wheel to zoom, pinch with two fingers, drag empty space
+  // to pan and double-click to fit. `grabsPointer` says when the page's own handlers took the
+  // pointer; `onPinch` lets them drop it when a second finger turns the drag into a pinch.
+  const ZOOM_STEP = 1.25;
+
+  function wireCamera(sc, grabsPointer = () => false, onPinch = () => {}) {
+    const el = sc.canvas;
+    const pointers = new Map(); // pointerId -> { x, y } in client px
+    let panning = false;
+    let pinch = null; // { distance, x, y } of the two pointers when last moved
+
+    function pinchOf() {
+      const [a, b] = [...pointers.values()];
+      return { distance: Math.hypot(a.x - b.x, a.y - b.y), x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    }
+
+    el.addEventListener('wheel', e => {
+      e.preventDefault();
+      sc.zoomAt(e.clientX, e.clientY, Math.exp(-e.deltaY * 0.0015));
+    }, { passive: false });
+
+    el.addEventListener('pointerdown', e => {
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      if (pointers.size === 2) {
+        onPinch();
+        panning = false;
+        pinch = pinchOf();
+      } else if (pointers.size === 1 && !grabsPointer()) {
+        panning = true;
+      } else {
+        return;
+      }
+      el.setPointerCapture(e.pointerId);
+    });
+
+    el.addEventListener('pointermove', e => {
+      if (lensOn) sc.setLens(e.clientX, e.clientY);
+      const p = pointers.get(e.pointerId);
+      if (!p) return;
+      const dx = e.clientX - p.x;
+      const dy = e.clientY - p.y;
+      p.x = e.clientX;
+      p.y = e.clientY;
+      if (pinch && pointers.size === 2) {
+        const next = pinchOf();
+        sc.panBy(next.x - pinch.x, next.y - pinch.y);
+        if (pinch.distance > 0) sc.zoomAt(next.x, next.y, next.distance / pinch.distance);
+        pinch = next;
+      } else if (panning) {
+        sc.panBy(dx, dy);
+        el.style.cursor = 'move';
+      }
+    });
+
+    function onUp(e) {
+      if (!pointers.delete(e.pointerId)) return;
+      if (pointers.size < 2) pinch = null;
+      if (!pointers.size && panning) {
+        panning = false;
+        el.style.cursor = '';
+      }
+    }
+    el.addEventListener('pointerup', onUp);
+    el.addEventListener('pointercancel', onUp);
+    el.addEventListener('pointerleave', () => { sc.hideLens(); });
+
+    el.addEventListener('dblclick', e => {
+      const { x, y } = sc.toWorld(e.clientX, e.clientY);
+      if (sc === scene && (candleAt(x, y) >= 0 || jarFootprintAt(x, y))) return;
+      sc.resetCamera();
+    });
+  }
+
+  function setLens(on) {
+    lensOn = on;
+    elBtnLens.textContent = on ? 'Hide magnifier' : 'Magnifier';
+    elBtnLens.setAttribute('aria-pressed', String(on));
+    if (!on) allScenes().forEach(sc => sc.hideLens());
+  }
+
+  // Toolbar zoom acts on every scene, about its centre
+  function zoomScenes(factor) {
+    allScenes().forEach(sc => {
+      const rect = sc.canvas.getBoundingClientRect();
+      sc.zoomAt(rect.left + rect.width / 2, rect.top + rect.height / 2, factor);
+    });
+  }
+
+  function showJarMessage(text) {
+    elJarMessage.textContent = text;
+  }
+
+  function download(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
   }
 
   function updateUiReadouts() {
     elOxygen.textContent = `${(state.oxygenInside * 100).toFixed(1)}%`;
-    elWater.textContent = `${Math.round(state.waterRise * 100)}%`;
+    elWater.textContent = `${(state.waterRise * 1000).toFixed(1)} mm`;
+    elPressure.textContent = `${(state.gas.pressurePa / 1000).toFixed(2)} kPa`;
+    elTemperature.textContent = `${(state.gas.temperatureK - 273.15).toFixed(1)} °C`;
     elCandleCountValue.textContent = String(state.candles.length);
-    elJarDiameterValue.textContent = `${state.jar.diameter} px`;
-    elSpeedValue.textContent = `${Number(state.speed).toFixed(2)}×`;
-  }
-
-  // Rendering
-  function clear() {
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-  }
-
-  function drawBackground() {
-    // light ground with subtle top edge
-    ctx.fillStyle = '#e9edf3';
-    ctx.fillRect(0, world.groundY, canvas.width, canvas.height - world.groundY);
-    ctx.fillStyle = '#d1d5db';
-    ctx.fillRect(0, world.groundY - 1, canvas.width, 1);
-  }
-
-  function drawCandles() {
-    state.candles.forEach(c => {
-      // base shadow on light ground
-      ctx.save();
-      ctx.globalAlpha = 0.15;
-      ctx.fillStyle = '#9aa0a6';
-      ctx.beginPath();
-      ctx.ellipse(c.x, world.groundY - 2, 12, 3, 0, 0, Math.PI * 2);
-      ctx.fill();
-      ctx.globalAlpha = 1;
-      ctx.restore();
-
-      // wax (soft warm)
-      ctx.fillStyle = '#f6e7cf';
-      const w = 16;
-      ctx.fillRect(c.x - w / 2, c.y - c.height, w, c.height);
-      ctx.strokeStyle = '#ddcdb7';
-      ctx.lineWidth = 1;
-      ctx.strokeRect(c.x - w / 2 + 0.5, c.y - c.height + 0.5, w - 1, c.height - 1);
-      // wick
-      ctx.fillStyle = '#111827';
-      ctx.fillRect(c.x - 1, c.y - c.height - 8, 2, 8);
-      // flame
-      if (c.lit || c.flame > 0.01) {
-        const fh = 16 + 16 * c.flame;
-        const fw = 10 + 6 * c.flame;
-        const cx = c.x;
-        const cy = c.y - c.height - 16;
-        const gradient = ctx.createRadialGradient(cx, cy, 1, cx, cy, fh);
-        gradient.addColorStop(0, 'rgba(255, 220, 120, 0.95)');
-        gradient.addColorStop(0.6, 'rgba(255, 160, 40, 0.6)');
-        gradient.addColorStop(1, 'rgba(255, 80, 0, 0)');
-        ctx.fillStyle = gradient;
-        ctx.beginPath();
-        ctx.ellipse(cx, cy, fw * 0.5, fh * 0.8, 0, 0, Math.PI * 2);
-        ctx.fill();
+    elJarDiameterValue.textContent = `${(state.jar.diameter / PX_PER_CM).toFixed(1)} cm`;
+    elJarHeightValue.textContent = `${(state.jar.height / PX_PER_CM).toFixed(1)} cm`;
+    elJarVolume.textContent = `${Math.round(engine.jarGeometry().volume * 1e6)} mL`;
+    elWaterVolume.textContent = `${(engine.waterDrawnIn() * 1e6).toFixed(1)} mL`;
+    elVented.textContent = `${(state.jar.vented * 1e6).toFixed(1)} mL`;
+    elSpeedValue.textContent = `${Number(speed).toFixed(2)}×`;
+    elBtnJar.textContent = state.jar.placed ? 'Lift jar' : 'Cover with jar';
+    lockActions();
+    if (compareRuns.length) {
+      elMainRunReadout.textContent = runReadout(engine);
+      compareRuns.forEach(run => { run.readout.textContent = runReadout(run.engine); });
+    }
+  }
+
+  // Time-series chart: one strip per series, sharing the time axis
+  const CHART_SERIES = [
+    { key: 'oxygenPct', label: 'Oxygen', unit: '%', color: '#2563eb', digits: 1 },
+    { key: 'temperatureC', label: 'Temperature', unit: '°C', color: '#dc2626', digits: 1 },
+    { key: 'waterMm', label: 'Water rise', unit: 'mm', color: '#0891b2', digits: 1 },
+    { key: 'litCandles', label: 'Lit candles', unit: '', color: '#d97706', digits: 0 },
+  ];
+  const EVENT_COLORS = { lit: '#d97706', snuff: '#9ca3af', jar: '#4b5563', lift: '#4b5563', flameout: '#9ca3af', bubble: '#0891b2' };
+
+  let chartTimeAxis = { left: 0, plotW: 1, tEnd: 10 }; // from the last renderChart(), for seeking
+
+  function renderChart() {
+    const dpi = window.devicePixelRatio || 1;
+    const w = chartCanvas.width / dpi;
+    const h = chartCanvas.height / dpi;
+    const samples = recording.samples;
+    const left = 110;
+    const right = 12;
+    const top = 16;
+    const stripH = (h - top - 18) / CHART_SERIES.length;
+    const plotW = w - left - right;
+    chartCtx.clearRect(0, 0, w, h);
+
+    const lastSample = samples[samples.length - 1];
+    const tEnd = Math.max(10, state.time, lastSample ? lastSample.t : 0);
+    const tx = t => left + (t / tEnd) * plotW;
+    chartTimeAxis = { left, plotW, tEnd };
+    // Readouts follow the cursor while looking back
+    const current = historyIndex < 0 ? lastSample : samples.filter(sample => sample.t <= state.time + 1e-9).pop();
+    // Draw at most ~one point per pixel
+    const stride = Math.max(1, Math.floor(samples.length / plotW));
+
+    chartCtx.font = '11px ui-sans-serif, system-ui, sans-serif';
+    chartCtx.textBaseline = 'middle';
+    CHART_SERIES.forEach((series, si) => {
+      const y0 = top + si * stripH;
+      let lo = Infinity;
+      let hi = -Infinity;
+      samples.forEach(sample => {
+        lo = Math.min(lo, sample[series.key]);
+        hi = Math.max(hi, sample[series.key]);
+      });
+      if (!isFinite(lo)) { lo = 0; hi = 1; }
+      if (hi - lo < 1e-6) { lo -= 0.5; hi += 0.5; }
+      const ty = v => y0 + stripH - 4 - ((v - lo) / (hi - lo)) * (stripH - 8);
+
+      chartCtx.fillStyle = si % 2 ? '#ffffff' : '#f9fafb';
+      chartCtx.fillRect(left, y0, plotW, stripH);
+      chartCtx.fillStyle = '#4b5563';
+      chartCtx.textAlign = 'left';
+      chartCtx.fillText(series.label, 4, y0 + stripH * 0.35);
+      chartCtx.fillStyle = series.color;
+      chartCtx.fillText(current ? `${current[series.key].toFixed(series.digits)} ${series.unit}` : '—', 4, y0 + stripH * 0.7);
+      chartCtx.fillStyle = '#9ca3af';
+      chartCtx.textAlign = 'right';
+      chartCtx.fillText(hi.toFixed(series.digits), left - 4, y0 + 8);
+      chartCtx.fillText(lo.toFixed(series.digits), left - 4, y0 + stripH - 8);
+
+      chartCtx.strokeStyle = series.color;
+      chartCtx.lineWidth = 1.5;
+      chartCtx.beginPath();
+      for (let i = 0; i < samples.length; i += stride) {
+        const x = tx(samples[i].t);
+        const y = ty(samples[i][series.key]);
+        if (i === 0) chartCtx.moveTo(x, y); else chartCtx.lineTo(x, y);
       }
+      chartCtx.stroke();
     });
-  }
 
-  function drawJar() {
-    const { diameter, placeAnim, placed } = state.jar;
-    const r = diameter / 2;
-    const x = state.jar.x;
-    const yBottom = world.groundY - 2; // jar touches ground
-    const rise = easeOutCubic(placeAnim);
-    const yTop = yBottom - (placed ? 1 : 0) * (r * 2 + 40) * rise + 100 ;
+    // Event markers across all strips
+    chartCtx.textAlign = 'left';
+    chartCtx.setLineDash([3, 3]);
+    recording.events.forEach(ev => {
+      const x = tx(ev.t);
+      chartCtx.strokeStyle = EVENT_COLORS[ev.type] || '#9ca3af';
+      chartCtx.beginPath();
+      chartCtx.moveTo(x, top);
+      chartCtx.lineTo(x, h - 18);
+      chartCtx.stroke();
+    });
+    chartCtx.setLineDash([]);
+    let labelX = -Infinity;
+    recording.events.forEach(ev => {
+      const x = tx(ev.t);
+      if (x < labelX) return; // skip labels that would overlap the previous one
+      chartCtx.fillStyle = EVENT_COLORS[ev.type] || '#9ca3af';
+      chartCtx.fillText(ev.label, x + 3, top - 8);
+      labelX = x + chartCtx.measureText(ev.label).width + 8;
+    });
 
-    if (!placed && placeAnim === 0) {
-      return; // hide jar until placed
+    // Cursor at the moment on screen while looking back
+    if (historyIndex >= 0) {
+      chartCtx.strokeStyle = '#111827';
+      chartCtx.lineWidth = 1;
+      chartCtx.beginPath();
+      chartCtx.moveTo(tx(state.time), top);
+      chartCtx.lineTo(tx(state.time), h - 18);
+      chartCtx.stroke();
     }
 
-    // jar glass (soft on light bg)
-    ctx.save();
-    ctx.strokeStyle = 'rgba(180, 200, 215, 0.35)';
-    ctx.lineWidth = 3;
-    ctx.fillStyle = 'rgba(170, 190, 210, 0.04)';
-    ctx.beginPath();
-    ctx.roundRect(x - r, yTop, diameter, yBottom - yTop, 14);
-    ctx.fill();
-    ctx.stroke();
-    ctx.restore();
-
-    // water inside jar (rises)
-    if (placed) {
-      const insideBottom = yBottom - 2;
-      const maxRisePx = Math.min(diameter * 0.9, 200);
-      const waterInsideTop = insideBottom - state.waterRise * maxRisePx;
-      ctx.save();
-      ctx.beginPath();
-      ctx.rect(x - r + 3, yTop + 3, diameter - 6, insideBottom - (yTop + 3));
-      ctx.clip();
-      ctx.fillStyle = 'rgba(130, 180, 210, 0.22)';
-      ctx.fillRect(x - r + 3, waterInsideTop, diameter - 6, insideBottom - waterInsideTop);
-      // meniscus
-      ctx.fillStyle = 'rgba(160, 200, 225, 0.22)';
-      ctx.fillRect(x - r + 3, waterInsideTop - 2, diameter - 6, 2);
-      ctx.restore();
+    // Time axis
+    chartCtx.fillStyle = '#9ca3af';
+    chartCtx.textAlign = 'center';
+    const tickStep = niceStep(tEnd / 6);
+    for (let t = 0; t <= tEnd; t += tickStep) {
+      chartCtx.fillText(`${t.toFixed(tickStep < 1 ? 1 : 0)} s`, tx(t), h - 8);
     }
   }
 
-  function drawBasin() {
-    // wide, shallow glass basin in foreground
-    const basinWidth = Math.max(Math.floor(world.width * 0.9), state.candles.length * 46 + 240);
-    const basinHeight = 36;
-    const centerX = world.width * 0.5;
-    const x = Math.floor(centerX - basinWidth / 2);
-    const y = world.groundY; // rim sits on ground
-
-    ctx.save();
-    const radius = 10;
-    ctx.beginPath();
-    ctx.roundRect(x, y - basinHeight, basinWidth, basinHeight, radius);
-
-    // clip interior to draw water
-    ctx.save();
-    ctx.clip();
-    const innerPad = 3;
-    const usableHeight = basinHeight - innerPad * 2;
-    const waterHeight = Math.max(4, state.basin.waterLevel * usableHeight);
-    const waterTop = y - innerPad - waterHeight;
-    const wg = ctx.createLinearGradient(0, waterTop, 0, y - innerPad);
-    wg.addColorStop(0, 'rgba(150, 190, 210, 0.18)');
-    wg.addColorStop(1, 'rgba(150, 190, 210, 0.10)');
-    ctx.fillStyle = wg;
-    ctx.fillRect(x + innerPad, waterTop, basinWidth - innerPad * 2, waterHeight);
-    // water surface highlight
-    ctx.fillStyle = 'rgba(220, 240, 255, 0.15)';
-    ctx.fillRect(x + innerPad, waterTop - 1.5, basinWidth - innerPad * 2, 1.5);
-    ctx.restore();
-
-    // subtle glass fill and stroke (lighter on light bg)
-    const gg = ctx.createLinearGradient(x, y - basinHeight, x + basinWidth, y);
-    gg.addColorStop(0, 'rgba(210, 225, 240, 0.06)');
-    gg.addColorStop(1, 'rgba(210, 225, 240, 0.04)');
-    ctx.fillStyle = gg;
-    ctx.fill();
-    ctx.lineWidth = 2;
-    ctx.strokeStyle = 'rgba(180, 200, 215, 0.35)';
-    ctx.stroke();
-
-    // specular highlight stripe on glass
-    ctx.beginPath();
-    ctx.rect(x + Math.floor(basinWidth * 0.12), y - basinHeight + 4, 6, basinHeight - 8);
-    const hg = ctx.createLinearGradient(0, y - basinHeight, 0, y);
-    hg.addColorStop(0, 'rgba(255,255,255,0.12)');
-    hg.addColorStop(0.5, 'rgba(255,255,255,0.03)');
-    hg.addColorStop(1, 'rgba(255,255,255,0.00)');
-    ctx.fillStyle = hg;
-    ctx.fill();
-
-    // soft shadow under basin (lighter)
-    ctx.globalAlpha = 0.10;
-    ctx.fillStyle = '#bfbfbf';
-    ctx.beginPath();
-    ctx.ellipse(centerX, y + 6, basinWidth * 0.42, 6, 0, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.globalAlpha = 1;
-    ctx.restore();
-  }
-
-  function drawRipples() {
-    // subtle ripples based on water level outside
-    const t = state.time * 0.8;
-    const y = world.waterLevel + Math.sin(t) * 1.5;
-    ctx.strokeStyle = 'rgba(120,180,220,0.25)';
-    ctx.lineWidth = 1;
-    for (let i = 0; i < 6; i++) {
-      ctx.beginPath();
-      ctx.moveTo(0, y + i * 8);
-      ctx.bezierCurveTo(240, y + i * 8 + Math.sin(t + i) * 2, 720, y + i * 8 + Math.cos(t + i) * 2, canvas.width, y + i * 8);
-      ctx.stroke();
-    }
+  function niceStep(raw) {
+    const p = Math.pow(10, Math.floor(Math.log10(raw)));
+    const m = raw / p;
+    return (m < 1.5 ? 1 : m < 3.5 ? 2 : m < 7.5 ? 5 : 10) * p;
   }
 
-  function render() {
-    clear();
-    drawBackground();
-    // background elements: jar first
-    drawJar();
-    // then candles
-    drawCandles();
-    // foreground element: basin
-    drawBasin();
+  // Compare mode: more runs next to this one, stepped with the same clock. Light and Cover act on
+  // all of them; each has its own set-up.
+  const RUN_NAMES = ['A', 'B', 'C', 'D'];
+  const RUN_COLORS = ['#1f2937', '#d97706', '#059669', '#7c3aed'];
+
+  function allEngines() {
+    return [engine, ...compareRuns.map(run => run.engine)];
   }
 
-  // Resize handling
+  function allScenes() {
+    return [scene, ...compareRuns.map(run => run.scene)];
+  }
+
+  function runReadout(e) {
+    const lit = e.state.candles.filter(c => c.lit).length;
+    return `O₂ ${(e.state.oxygenInside * 100).toFixed(1)}% · water ${(e.state.waterRise * 1000).toFixed(1)} mm · ${lit} lit`;
+  }
+
+  // Switching compare mode on or off restarts every run, so they share one clock
+  function setCompare(on) {
+    if (on) addCompareRun();
+    else [...compareRuns].forEach(removeCompareRun);
+    reset(true);
+  }
+
+  // New runs start as a copy of run A's set-up
+  function addCompareRun() {
+    if (compareRuns.length >= RUN_NAMES.length - 1) return;
+    const pane = elCompareRunTemplate.content.firstElementChild.cloneNode(true);
+    const field = name => pane.querySelector(`[data-field="${name}"]`);
+    const fields = {
+      candleCount: field('candleCount'),
+      vessel: field('vessel'),
+      jarDiameter: field('jarDiameter'),
+      wax: field('wax'),
+    };
+    Object.entries(VESSELS).forEach(([key, v]) => { fields.vessel.add(new Option(v.label, key)); });
+    Object.entries(WAXES).forEach(([key, w]) => { fields.wax.add(new Option(w.label, key)); });
+    const config = engine.config;
+    const runEngine = createEngine({ ...config, seed: (Math.random() * 2 ** 32) >>> 0 });
+    fields.candleCount.value = String(config.candleCount);
+    fields.vessel.value = runEngine.state.jar.shape;
+    fields.jarDiameter.value = String(runEngine.state.jar.diameter / PX_PER_CM);
+    fields.wax.value = runEngine.state.wax;
+    elRuns.appendChild(pane);
+
+    const run = {
+      engine: runEngine,
+      scene: window.CandleJarScene.createScene(pane.querySelector('canvas'), runEngine, {
+        overlay: () => elLayerOverlay.value,
+      }),
+      pane,
+      fields,
+      readout: pane.querySelector('[data-role="readout"]'),
+    };
+    wireCamera(run.scene);
+    compareRuns.push(run);
+    nameCompareRuns();
+
+    fields.candleCount.addEventListener('change', () => {
+      branchIfScrubbed();
+      runEngine.setCandleCount(Math.max(1, Math.min(5, parseInt(fields.candleCount.value, 10) || 1)));
+    });
+    fields.vessel.addEventListener('change', () => {
+      branchIfScrubbed();
+      runEngine.setVessel(fields.vessel.value);
+      fields.jarDiameter.value = String(runEngine.state.jar.diameter / PX_PER_CM);
+    });
+    fields.jarDiameter.addEventListener('change', () => {
+      branchIfScrubbed();
+      const [lo, hi] = JAR_DIAMETER_RANGE_CM;
+      runEngine.setJarDiameter(Math.max(lo, Math.min(hi, parseFloat(fields.jarDiameter.value) || hi)) * PX_PER_CM);
+    });
+    fields.wax.addEventListener('change', () => {
+      branchIfScrubbed();
+      runEngine.setWax(fields.wax.value);
+    });
+    pane.querySelector('[data-role="remove"]').addEventListener('click', () => {
+      removeCompareRun(run);
+      reset(true);
+    });
+  }
+
+  function removeCompareRun(run) {
+    run.pane.remove();
+    compareRuns = compareRuns.filter(r => r !== run);
+    nameCompareRuns();
+  }
+
+  function nameCompareRuns() {
+    compareRuns.forEach((run, i) => {
+      const name = run.pane.querySelector('[data-role="name"]');
+      name.textContent = `Run ${RUN_NAMES[i + 1]}`;
+      name.style.color = RUN_COLORS[i + 1];
+    });
+    const on = compareRuns.length > 0;
+    elRuns.classList.toggle('compare', on);
+    elMainRunHead.hidden = !on;
+    elMainRunReadout.hidden = !on;
+    compareChartCanvas.hidden = !on;
+    elBtnCompare.textContent = on ? 'Stop comparing' : 'Compare runs';
+    elBtnAddRun.hidden = !on || compareRuns.length >= RUN_NAMES.length - 1;
+  }
+
+  // Water rise and oxygen of every run, each followed by its difference from run A
+  const COMPARE_SERIES = [
+    { key: 'waterMm', label: 'Water rise', unit: 'mm' },
+    { key: 'waterMm', label: 'Δ water vs A', unit: 'mm', difference: true },
+    { key: 'oxygenPct', label: 'Oxygen', unit: '%' },
+    { key: 'oxygenPct', label: 'Δ oxygen vs A', unit: '%', difference: true },
+  ];
+
+  function renderCompareChart() {
+    const dpi = window.devicePixelRatio || 1;
+    const w = compareChartCanvas.width / dpi;
+    const h = compareChartCanvas.height / dpi;
+    const left = 110;
+    const right = 12;
+    const top = 6;
+    const stripH = (h - top - 18) / COMPARE_SERIES.length;
+    const plotW = w - left - right;
+    const base = recording.samples;
+    const runs = compareRuns.map((run, i) => ({ samples: run.engine.recording.samples, color: RUN_COLORS[i + 1] }));
+    const ctx2 = compareChartCtx;
+    ctx2.clearRect(0, 0, w, h);
+    const tEnd = Math.max(10, state.time, base.length ? base[base.length - 1].t : 0);
+    const tx = t => left + (t / tEnd) * plotW;
+    ctx2.font = '11px ui-sans-serif, system-ui, sans-serif';
+    ctx2.textBaseline = 'middle';
+
+    COMPARE_SERIES.forEach((series, si) => {
+      const y0 = top + si * stripH;
+      // Runs step together, so the n-th sample of every run is at the same time
+      const lines = series.difference
+        ? runs.map(run => ({ color: run.color, points: run.samples.slice(0, base.length).map((sample, n) => [sample.t, sample[series.key] - base[n][series.key]]) }))
+        : [{ color: RUN_COLORS[0], samples: base }, ...runs].map(run => ({ color: run.color, points: run.samples.map(sample => [sample.t, sample[series.key]]) }));
+      let lo = series.difference ? 0 : Infinity;
+      let hi = series.difference ? 0 : -Infinity;
+      lines.forEach(line => line.points.forEach(([, v]) => { lo = Math.min(lo, v); hi = Math.max(hi, v); }));
+      if (!isFinite(lo)) { lo = 0; hi = 1; }
+      if (hi - lo < 1e-6) { lo -= 0.5; hi += 0.5; }
+      const ty = v => y0 + stripH - 4 - ((v - lo) / (hi - lo)) * (stripH - 8);
+
+      ctx2.fillStyle = si % 2 ? '#ffffff' : '#f9fafb';
+      ctx2.fillRect(left, y0, plotW, stripH);
+      ctx2.fillStyle = '#4b5563';
+      ctx2.textAlign = 'left';
+      ctx2.fillText(`${series.label} (${series.unit})`, 4, y0 + stripH / 2);
+      ctx2.fillStyle = '#9ca3af';
+      ctx2.textAlign = 'right';
+      ctx2.fillText(hi.toFixed(1), left - 4, y0 + 8);
+      ctx2.fillText(lo.toFixed(1), left - 4, y0 + stripH - 8);
+      if (series.difference) {
+        ctx2.strokeStyle = '#d1d5db';
+        ctx2.beginPath();
+        ctx2.moveTo(left, ty(0));
+        ctx2.lineTo(left + plotW, ty(0));
+        ctx2.stroke();
+      }
+
+      const stride = Math.max(1, Math.floor(base.length / plotW));
+      ctx2.lineWidth = 1.5;
+      lines.forEach(line => {
+        ctx2.strokeStyle = line.color;
+        ctx2.beginPath();
+        for (let i = 0; i < line.points.length; i += stride) {
+          const [t, v] = line.points[i];
+          if (i === 0) ctx2.moveTo(tx(t), ty(v)); else ctx2.lineTo(tx(t), ty(v));
+        }
+        ctx2.stroke();
+      });
+    });
+
+    ctx2.fillStyle = '#9ca3af';
+    ctx2.textAlign = 'center';
+    const tickStep = niceStep(tEnd / 6);
+    for (let t = 0; t <= tEnd; t += tickStep) {
+      ctx2.fillText(`${t.toFixed(tickStep < 1 ? 1 : 0)} s`, tx(t), h - 8);
+    }
+  }
+
+  // Resize handling. On its own the main scene takes the pane's width and a height that suits the
+  // window; the camera fits the world into whatever shape that is.
   function fitCanvasToContainer() {
-    const wrap = canvas.parentElement;
     const dpi = window.devicePixelRatio || 1;
-    const w = wrap.clientWidth;
-    const h = Math.max(420, Math.floor(w * 0.6));
-    canvas.width = Math.floor(w * dpi);
-    canvas.height = Math.floor(h * dpi);
-    ctx.setTransform(dpi, 0, 0, dpi, 0, 0);
+    const width = canvas.parentElement.clientWidth;
+    if (compareRuns.length) scene.resize(width);
+    else scene.resize(width, Math.round(Math.max(280, Math.min(width * 0.75, window.innerHeight * 0.7))));
+    compareRuns.forEach(run => { run.scene.resize(run.pane.clientWidth); });
+    compareChartCanvas.width = Math.floor(compareChartCanvas.clientWidth * dpi);
+    compareChartCanvas.height = Math.floor(compareChartCanvas.clientHeight * dpi);
+    compareChartCtx.setTransform(dpi, 0, 0, dpi, 0, 0);
+    chartCanvas.width = Math.floor(chartCanvas.clientWidth * dpi);
+    chartCanvas.height = Math.floor(chartCanvas.clientHeight * dpi);
+    chartCtx.setTransform(dpi, 0, 0, dpi, 0, 0);
   }
 
   // RAF loop
   let lastTs = 0;
   function tick(ts) {
+    requestAnimationFrame(tick);
+    if (exporting) return;
     if (!lastTs) lastTs = ts;
     const dt = Math.min(0.05, (ts - lastTs) / 1000);
     lastTs = ts;
 
-    step(dt);
-    render();
-    requestAnimationFrame(tick);
+    if (playing) {
+      advance(dt * speed);
+      allScenes().forEach(sc => sc.updateEffects(dt, dt * speed));
+      lesson.update();
+    }
+    updateUiReadouts();
+    updateTimeline();
+    allScenes().forEach(sc => sc.render());
+    if (recorder.recording) recorder.capture();
+    renderChart();
+    if (compareRuns.length) renderCompareChart();
+  }
+
+  // Recording the main scene, with the time and readouts over it when the HUD overlay is ticked
+  const RECORD_FPS = 30;
+  const recorder = window.CanvasRecorder.createRecorder(canvas, {
+    fps: RECORD_FPS,
+    filename: 'candle-jar',
+    hud: () => {
+      if (!elHudOverlay.checked) return null;
+      const lit = state.candles.filter(c => c.lit).length;
+      return [
+        `t = ${state.time.toFixed(1)} s`,
+        `Oxygen ${elOxygen.textContent} · ${lit} of ${state.candles.length} candles lit`,
+        `Water ${elWater.textContent} · ${elTemperature.textContent} · ${elPressure.textContent}`,
+      ];
+    },
+  });
+
+  function toggleRecording() {
+    if (recorder.recording) {
+      recorder.stopVideo();
+    } else if (!recorder.startVideo()) {
+      setTimelineStatus('This browser cannot record the scene to video; use PNG frames instead.');
+      return;
+    }
+    elBtnRecord.textContent = recorder.recording ? 'Stop' : 'Record';
+    elBtnRecord.setAttribute('aria-pressed', String(recorder.recording));
+  }
+
+  // Renders the next seconds of the run at the current speed, one clip frame at a time, while the
+  // live loop stands aside. Pausing at key moments does not stop an export.
+  async function exportFrames() {
+    const seconds = Math.max(1, Math.min(60, parseFloat(elFramesSeconds.value) || 5));
+    const label = elBtnFrames.textContent;
+    elBtnFrames.disabled = true;
+    exporting = true;
+    try {
+      await recorder.exportFrames(Math.round(seconds * RECORD_FPS), (dt) => {
+        advance(dt * speed);
+        allScenes().forEach(sc => sc.updateEffects(dt, dt * speed));
+        lesson.update();
+        updateUiReadouts();
+        updateTimeline();
+        allScenes().forEach(sc => sc.render());
+      }, (done, count) => { elBtnFrames.textContent = `Rendering ${done}/${count}…`; });
+    } finally {
+      exporting = false;
+      lastTs = 0;
+      elBtnFrames.textContent = label;
+      elBtnFrames.disabled = false;
+    }
+  }
+
+  // Timeline: a history of snapshots to scrub through. Looking back only restores the state; any
+  // change or step from there rewinds the run and branches it.
+  const HISTORY_INTERVAL = 0.1; // s of simulated time between snapshots
+  const MAX_HISTORY = 3000;
+  const STEP_SECONDS = 0.1;
+
+  // One entry covers every run, so runs being compared stay in step when scrubbing
+  function takeSnapshot() {
+    return { t: state.time, main: engine.snapshot(), runs: compareRuns.map(run => run.engine.snapshot()) };
+  }
+
+  function recordHistory() {
+    const last = history[history.length - 1];
+    if (last && state.time < last.t + HISTORY_INTERVAL) return;
+    history.push(takeSnapshot());
+    if (history.length > MAX_HISTORY) history.shift();
+  }
+
+  function branchIfScrubbed() {
+    if (historyIndex < 0) return;
+    const entry = history[historyIndex];
+    engine.rewind(entry.main);
+    compareRuns.forEach((run, i) => { run.engine.rewind(entry.runs[i]); });
+    history.length = historyIndex + 1;
+    historyIndex = -1;
+    lesson.rewind();
+    allScenes().forEach(sc => sc.clearEffects());
+    setTimelineStatus('New run branched from here.');
+  }
+
+  // Advances the live run, stopping if "pause at key moments" catches one
+  function advance(simDt) {
+    branchIfScrubbed();
+    const landing = state.jar.placed && state.jar.placeAnim < 1;
+    allEngines().forEach(e => { e.step(simDt); });
+    recordHistory();
+    if (landing && state.jar.placeAnim >= 1) pauseAtMoment('Jar touches the water');
+  }
+
+  function pauseAtMoment(label) {
+    if (!elPauseOnEvents.checked) return;
+    setPlaying(false);
+    setTimelineStatus(`Paused: ${label} at ${state.time.toFixed(1)} s.`);
+  }
+
+  function setPlaying(on) {
+    playing = on;
+    elBtnPlay.textContent = on ? 'Pause' : 'Play';
+  }
+
+  function setTimelineStatus(text) {
+    elTimelineStatus.textContent = text;
+  }
+
+  function scrubTo(i) {
+    if (!history.length) return;
+    historyIndex = Math.max(0, Math.min(history.length - 1, i));
+    setPlaying(false);
+    const entry = history[historyIndex];
+    engine.restore(entry.main);
+    compareRuns.forEach((run, i) => { run.engine.restore(entry.runs[i]); });
+    allScenes().forEach(sc => sc.clearEffects());
+    selectCandle(-1);
+    updateUiReadouts();
+  }
+
+  // Snapshot closest to a time, by binary search over the history
+  function historyIndexAt(t) {
+    let lo = 0;
+    let hi = history.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (history[mid].t < t) lo = mid + 1; else hi = mid;
+    }
+    return lo > 0 && t - history[lo - 1].t < history[lo].t - t ? lo - 1 : lo;
+  }
+
+  function updateTimeline() {
+    const end = Math.max(state.time, history.length ? history[history.length - 1].t : 0);
+    elTimeline.max = String(Math.max(0, history.length - 1));
+    elTimeline.value = String(historyIndex < 0 ? history.length - 1 : historyIndex);
+    elTimeValue.textContent = historyIndex < 0 ? `${state.time.toFixed(1)} s` : `${state.time.toFixed(1)} / ${end.toFixed(1)} s`;
   }
 
   // Wiring
   function wireUi() {
     elCandleCount.addEventListener('input', () => {
-      const n = parseInt(elCandleCount.value, 10);
-      initCandles(n);
+      branchIfScrubbed();
+      engine.setCandleCount(parseInt(elCandleCount.value, 10));
+      selectCandle(-1);
+      updateUiReadouts();
+    });
+    elVessel.addEventListener('change', () => {
+      branchIfScrubbed();
+      engine.setVessel(elVessel.value);
+      syncJarSliders();
       updateUiReadouts();
     });
     elJarDiameter.addEventListener('input', () => {
-      state.jar.diameter = parseInt(elJarDiameter.value, 10);
+      branchIfScrubbed();
+      engine.setJarDiameter(parseFloat(elJarDiameter.value) * PX_PER_CM);
+      updateUiReadouts();
+    });
+    elJarHeight.addEventListener('input', () => {
+      branchIfScrubbed();
+      engine.setJarHeight(parseFloat(elJarHeight.value) * PX_PER_CM);
       updateUiReadouts();
     });
+    elWax.addEventListener('change', () => {
+      branchIfScrubbed();
+      engine.setWax(elWax.value);
+    });
     elSpeed.addEventListener('input', () => {
-      state.speed = parseFloat(elSpeed.value);
+      speed = parseFloat(elSpeed.value);
       updateUiReadouts();
     });
-    elBtnLight.addEventListener('click', () => { lightCandles(); });
-    elBtnJar.addEventListener('click', () => { toggleJar(); });
+    elBtnLight.addEventListener('click', () => {
+      branchIfScrubbed();
+      allEngines().forEach(e => { e.light(); });
+    });
+    elBtnJar.addEventListener('click', () => {
+      if (allEngines().some(e => e.state.jar.lifting)) return;
+      branchIfScrubbed();
+      // Runs being compared move their jars together, or not at all
+      const blocked = allEngines().findIndex(e => !e.state.jar.placed && e.rimBlocked());
+      if (blocked >= 0) {
+        const where = compareRuns.length ? `In run ${RUN_NAMES[blocked]} the rim` : 'The rim';
+        showJarMessage(`${where} would land on a candle. Drag the jar or the candle first.`);
+        return;
+      }
+      allEngines().forEach(e => { e.toggleJar(); });
+      showJarMessage('');
+    });
+    elBtnCompare.addEventListener('click', () => { setCompare(!compareRuns.length); });
+    elBtnAddRun.addEventListener('click', () => {
+      addCompareRun();
+      reset(true);
+    });
+    elBtnCandleLit.addEventListener('click', () => {
+      const c = state.candles[selectedCandle];
+      if (!lesson.allows('light')) return;
+      branchIfScrubbed();
+      if (c) engine.setCandleLit(selectedCandle, !c.lit);
+      updateCandleEditor();
+    });
+    elCandleHeight.addEventListener('input', () => {
+      branchIfScrubbed();
+      engine.setCandleHeight(selectedCandle, parseFloat(elCandleHeight.value));
+      updateCandleEditor();
+    });
+    elCandleWick.addEventListener('input', () => {
+      branchIfScrubbed();
+      engine.setCandleWick(selectedCandle, parseFloat(elCandleWick.value));
+      updateCandleEditor();
+    });
+    canvas.addEventListener('pointerdown', onCanvasPointerDown);
+    canvas.addEventListener('pointermove', onCanvasPointerMove);
+    canvas.addEventListener('pointerup', onCanvasPointerUp);
+    canvas.addEventListener('pointercancel', onCanvasPointerUp);
+    wireCamera(scene, () => drag !== null, () => {
+      drag = null;
+      canvas.style.cursor = '';
+    });
+    elBtnZoomIn.addEventListener('click', () => { zoomScenes(ZOOM_STEP); });
+    elBtnZoomOut.addEventListener('click', () => { zoomScenes(1 / ZOOM_STEP); });
+    elBtnZoomFit.addEventListener('click', () => { allScenes().forEach(sc => sc.resetCamera()); });
+    elBtnLens.addEventListener('click', () => { setLens(!lensOn); });
+    elBtnRecord.addEventListener('click', toggleRecording);
+    elBtnFrames.addEventListener('click', exportFrames);
+    // Flames can go out by themselves; keep the editor's Light/Snuff label in step
+    engine.on(ev => { if (ev.type === 'flameout') updateCandleEditor(); });
+    engine.on(ev => { if (ev.type === 'bubble' || ev.type === 'flameout') pauseAtMoment(ev.label); });
+    lesson.on(renderLesson);
+    elLesson.addEventListener('change', () => { startLesson(elLesson.value); });
+    elLessonPredictInput.addEventListener('input', () => {
+      lesson.setPrediction(elLessonPredictInput.value === '' ? NaN : parseFloat(elLessonPredictInput.value));
+    });
+    elBtnLessonNext.addEventListener('click', () => { lesson.next(); });
+    elBtnLessonExit.addEventListener('click', () => {
+      elLesson.value = '';
+      lesson.stop();
+    });
+    elBtnPlay.addEventListener('click', () => {
+      setPlaying(!playing);
+      if (playing) setTimelineStatus('');
+    });
+    elBtnStep.addEventListener('click', () => {
+      setPlaying(false);
+      advance(STEP_SECONDS);
+      allScenes().forEach(sc => sc.updateEffects(STEP_SECONDS, STEP_SECONDS));
+    });
+    elTimeline.addEventListener('input', () => { scrubTo(parseInt(elTimeline.value, 10)); });
+    chartCanvas.addEventListener('pointerdown', e => {
+      const rect = chartCanvas.getBoundingClientRect();
+      const { left, plotW, tEnd } = chartTimeAxis;
+      const t = ((e.clientX - rect.left - left) / plotW) * tEnd;
+      if (t >= 0) scrubTo(historyIndexAt(t));
+    });
     elBtnReset.addEventListener('click', () => { reset(true); });
+    elBtnCsv.addEventListener('click', () => { download('candle-jar-run.csv', engine.toCsv(), 'text/csv'); });
+    elBtnJson.addEventListener('click', () => { download('candle-jar-run.json', engine.toJson(), 'application/json'); });
 
     window.addEventListener('resize', () => { fitCanvasToContainer(); });
     window.addEventListener('orientationchange', () => { fitCanvasToContainer(); });
@@ -408,12 +1028,23 @@
     // seed from defaults to UI
     if (defaults) {
       if (typeof defaults.candleCount === 'number') elCandleCount.value = String(defaults.candleCount);
-      if (typeof defaults.jarDiameterPx === 'number') elJarDiameter.value = String(defaults.jarDiameterPx);
+      if (typeof defaults.vessel === 'string' && defaults.vessel in VESSELS) elVessel.value = defaults.vessel;
       if (typeof defaults.speedMultiplier === 'number') elSpeed.value = String(defaults.speedMultiplier);
+      if (typeof defaults.wax === 'string' && defaults.wax in WAXES) elWax.value = defaults.wax;
     }
+    elJarDiameter.min = String(JAR_DIAMETER_RANGE_CM[0]);
+    elJarDiameter.max = String(JAR_DIAMETER_RANGE_CM[1]);
+    elJarHeight.min = String(JAR_HEIGHT_RANGE_CM[0]);
+    elJarHeight.max = String(JAR_HEIGHT_RANGE_CM[1]);
+    syncJarSliders();
+    elCandleHeight.min = String(CANDLE_HEIGHT_RANGE[0]);
+    elCandleHeight.max = String(CANDLE_HEIGHT_RANGE[1]);
+    elCandleWick.min = String(WICK_RANGE[0]);
+    elCandleWick.max = String(WICK_RANGE[1]);
     fitCanvasToContainer();
     reset();
     wireUi();
+    loadLessonList();
     requestAnimationFrame(tick);
   }
 
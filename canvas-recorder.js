@@ -0,0 +1,182 @@
+/*
+  Canvas recorder — clips of either simulation
+
+  Copies a page's canvas into a canvas of its own, with an optional HUD of text lines in the
+  corner, and records that: live to WebM with MediaRecorder, or offline as a numbered PNG
+  sequence. For the PNG export the page hands over its clock: the recorder asks it to step one
+  frame of simulated time, captures the result and only then asks for the next, so no frame is
+  dropped however slow each one is. The frames are downloaded together as an uncompressed zip.
+  Used by simulation.js and candle-jar.js; defines window.CanvasRecorder.
+*/
+
+(() => {
+  'use strict';
+
+  const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+  function saveBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // Zip archive with every entry stored as is: PNGs are compressed already
+  const CRC_TABLE = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    CRC_TABLE[n] = c >>> 0;
+  }
+
+  function crc32(bytes) {
+    let c = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+  }
+
+  // files: [{ name, blob }]; the blobs go into the archive without being copied
+  async function zipFiles(files) {
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    for (const { name, blob } of files) {
+      const nameBytes = new TextEncoder().encode(name);
+      const crc = crc32(new Uint8Array(await blob.arrayBuffer()));
+      const local = new DataView(new ArrayBuffer(30 + nameBytes.length));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true); // version needed
+      local.setUint16(12, 0x21, true); // date: 1980-01-01
+      local.setUint32(14, crc, true);
+      local.setUint32(18, blob.size, true);
+      local.setUint32(22, blob.size, true);
+      local.setUint16(26, nameBytes.length, true);
+      new Uint8Array(local.buffer, 30).set(nameBytes);
+      const entry = new DataView(new ArrayBuffer(46 + nameBytes.length));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true); // version made by
+      entry.setUint16(6, 20, true); // version needed
+      entry.setUint16(14, 0x21, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, blob.size, true);
+      entry.setUint32(24, blob.size, true);
+      entry.setUint16(28, nameBytes.length, true);
+      entry.setUint32(42, offset, true);
+      new Uint8Array(entry.buffer, 46).set(nameBytes);
+      parts.push(local, blob);
+      central.push(entry);
+      offset += local.byteLength + blob.size;
+    }
+    const centralSize = central.reduce((sum, entry) => sum + entry.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+  }
+
+  // source: the canvas to record. options.fps: frames per second of the clip; options.hud: returns
+  // the lines to print over the picture, or null for none.
+  function createRecorder(source, options = {}) {
+    const fps = options.fps || 30;
+    const hud = options.hud || (() => null);
+    const frameCanvas = document.createElement('canvas');
+    const ctx = frameCanvas.getContext('2d');
+    let mediaRecorder = null;
+    let exporting = false;
+
+    // The page calls this straight after drawing, while a WebGL canvas still holds the picture
+    function capture() {
+      if (frameCanvas.width !== source.width || frameCanvas.height !== source.height) {
+        frameCanvas.width = source.width;
+        frameCanvas.height = source.height;
+      }
+      ctx.drawImage(source, 0, 0);
+      const lines = hud();
+      if (lines && lines.length) drawHud(lines);
+    }
+
+    function drawHud(lines) {
+      const size = Math.max(12, Math.round(Math.min(frameCanvas.width, frameCanvas.height) / 36));
+      const pad = Math.round(size * 0.6);
+      const lineHeight = Math.round(size * 1.35);
+      ctx.save();
+      ctx.font = `${size}px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif`;
+      ctx.textBaseline = 'top';
+      const width = Math.max(...lines.map(line => ctx.measureText(line).width));
+      ctx.fillStyle = 'rgba(255,255,255,0.85)';
+      ctx.fillRect(pad, pad, width + 2 * pad, lines.length * lineHeight + pad);
+      ctx.fillStyle = '#111';
+      lines.forEach((line, i) => { ctx.fillText(line, 2 * pad, 1.5 * pad + i * lineHeight); });
+      ctx.restore();
+    }
+
+    function videoSupported() {
+      return typeof MediaRecorder !== 'undefined' && typeof frameCanvas.captureStream === 'function';
+    }
+
+    // Live recording: the stream takes at most fps frames a second from whatever capture() drew
+    function startVideo() {
+      if (mediaRecorder || !videoSupported()) return false;
+      capture();
+      const mimeType = VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+      const chunks = [];
+      mediaRecorder = new MediaRecorder(frameCanvas.captureStream(fps), mimeType ? { mimeType } : undefined);
+      mediaRecorder.addEventListener('dataavailable', (e) => { if (e.data.size) chunks.push(e.data); });
+      mediaRecorder.addEventListener('stop', () => {
+        const filename = options.filename || 'recording';
+        saveBlob(new Blob(chunks, { type: 'video/webm' }), `${filename}.webm`);
+      });
+      mediaRecorder.start(1000);
+      return true;
+    }
+
+    function stopVideo() {
+      if (!mediaRecorder) return;
+      mediaRecorder.stop();
+      mediaRecorder.stream.getTracks().forEach(track => track.stop());
+      mediaRecorder = null;
+    }
+
+    // Offline export of `count` frames. step(dtSeconds) advances the page by one frame and draws
+    // it, and may return a promise; progress(done, count) is called after each frame.
+    async function exportFrames(count, step, progress) {
+      if (exporting) return;
+      exporting = true;
+      try {
+        const files = [];
+        const digits = String(count).length;
+        for (let i = 0; i < count; i++) {
+          await step(1 / fps);
+          capture();
+          const blob = await new Promise(resolve => frameCanvas.toBlob(resolve, 'image/png'));
+          files.push({ name: `frame-${String(i + 1).padStart(Math.max(4, digits), '0')}.png`, blob });
+          if (progress) progress(i + 1, count);
+        }
+        const filename = options.filename || 'recording';
+        saveBlob(await zipFiles(files), `${filename}-frames.zip`);
+      } finally {
+        exporting = false;
+      }
+    }
+
+    return {
+      fps,
+      capture,
+      videoSupported,
+      startVideo,
+      stopVideo,
+      exportFrames,
+      get recording() { return mediaRecorder !== null; },
+      get exporting() { return exporting; },
+    };
+  }
+
+  window.CanvasRecorder = { createRecorder, zipFiles };
+})();
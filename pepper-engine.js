@@ -0,0 +1,1802 @@
+/*
+  Pepper Scattering — simulation engine
+
+  Pepper flecks evolve with Verlet integration over typed arrays, laid out as a soft lattice, as a
+  Poisson-disk scatter joined by a Delaunay mesh, or as loose grains that cling to and push off
+  their neighbours (SETTINGS.layout). Links between flecks are distance constraints that tear,
+  and grow back between flecks that lost theirs while the water around them is clean.
+  The dish is a round bowl: flecks slide along its wall with some friction and around the corks
+  and spoon handles put in it, and soap and ripples stay in the water between them.
+
+  Soap goes into a surfactant concentration field on a coarse grid; it spreads by diffusion and
+  by Marangoni flow (the surface pulls towards higher tension), surface tension follows from the
+  local concentration, and flecks are pushed along the tension gradient. Soap never leaves the
+  dish, so once the surface nears saturation further drops barely move anything, as in the real
+  experiment.
+
+  No DOM access and no wall clock: randomness comes from a generator seeded by SETTINGS.seed and
+  time from the fixed step counter, so a run is fully determined by its settings, canvas size and
+  the messages it gets between steps. Input can be recorded as a log of those messages and
+  replayed step for step, here or headless in Node. pepper-worker.js runs the engine off the main
+  thread, and simulation.js runs it directly where workers are unavailable. Both talk to it with
+  the messages handled by handle(). Loaded as a plain script (or with importScripts) it defines
+  self.PepperEngine; in Node, require() it.
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.PepperEngine = factory();
+})(typeof self !== 'undefined' ? self : this, () => {
+  'use strict';
+
+  // Simulation parameters
+  const DEFAULT_SETTINGS = {
+    layout: 'lattice',         // 'lattice', 'mesh' (scattered, Delaunay springs) or 'free' (scattered, no springs)
+    gridCols: 43,              // lattice nodes across the bowl's bounding square,
+    gridRows: 43,              // and down it; those in the water are kept
+    scatterCount: 1800,        // about this many flecks in the scattered layouts
+    meshStiffness: 0.3,        // mesh spring strength [0..1]
+    cohesionRange: 2.0,        // free flecks attract out to this many spacings apart
+    cohesionStrength: 40,      // px/s² pull between touching free flecks, fading out at the range
+    repulsionStiffness: 0.25,  // share of an overlap closer than one spacing undone per step
+    constraintIterations: 3,   // passes over the springs per step, at most
+    relaxTolerance: 0.05,      // no more passes once one corrects no spring by more than this share of its length
+    structuralStiffness: 0.35, // distance constraint strength [0..1]
+    shearStiffness: 0.25,      // diagonals for stability
+    damping: 0.0035,           // global velocity damping per step
+    jitterAcceleration: 3.0,   // small random accel to keep motion alive
+    gravityY: 0.0,             // near zero; pepper floats on surface
+    // Surfactant field
+    soapCellSize: 12,          // px per concentration cell
+    soapPerDrop: 0.3,          // soap in one drop, as a fraction of what covers the whole dish
+    soapDragFraction: 0.04,    // share of a drop left per pointermove while dragging
+    soapDropRadius: 30,        // Gaussian radius of a fresh drop in px
+    soapDiffusion: 900,        // px²/s
+    soapSubsteps: 4,           // field updates per simulation step, so fronts can outrun a cell
+    marangoniMobility: 120,    // surface flow speed per tension gradient, px/s per (mN/m/px)
+    fleckCoupling: 2400,       // fleck acceleration per tension gradient, px/s² per (mN/m/px)
+    tensionClean: 72,          // mN/m, clean water
+    tensionSaturated: 25,      // mN/m, fully covered surface
+    tensionSlope: 12,          // mN/m, Szyszkowski coefficient
+    tensionHalfCoverage: 0.02, // coverage at which the tension drop starts to level off
+    // Other tools
+    sugarPerLump: 150,         // sugar dropped by one click, in cell units
+    sugarRadius: 36,           // Gaussian radius of a lump in px
+    sugarDiffusion: 1200,      // px²/s
+    sugarHalfLifeMs: 5000,     // sugar dissolving away into the bulk
+    sugarTensionRise: 30,      // mN/m added by a fully sugared spot
+    sugarHalfEffect: 0.5,      // sugar level giving half of that rise
+    toothpickRadius: 10,       // px, flecks inside are pushed to the edge
+    rippleSpeed: 260,          // px/s, how fast a dropper ripple spreads
+    rippleWidth: 28,           // px, width of the ring that pushes flecks
+    rippleStrength: 1600,      // outward acceleration at the ring, px/s²
+    rippleLifeMs: 1500,
+    borderPadding: 24,         // gap between the bowl and the canvas edge
+    wallFriction: 0.4,         // share of a fleck's sliding speed lost touching the bowl or an obstacle
+    corkRadius: 36,            // px
+    spoonRadius: 9,            // px, half the width of a spoon handle
+    pepperRadius: 1.9,         // draw size of each fleck
+    // Tearing settings
+    breakThreshold: 1.8,       // break when distance > rest * threshold
+    minWeakThreshold: 1.18,    // never weaken below this threshold
+    clickTearRadius: 60,       // weaken springs within this radius of click
+    clickInnerBreakRadius: 24, // aggressively tear very close to click
+    weakenFactor: 0.85,        // local threshold multiplier during weakening
+    weakenDurationMs: 450,     // how long weakening lasts
+    tearImpulse: 36,            // separation displacement applied when a spring snaps
+    healRate: 0.3,             // chance per second that a fleck short of springs grows one back, on clean water
+    healRange: 1.5,            // spacings to the nearest fleck a new spring can reach
+    healGrowMs: 1500,          // how long a new spring takes to stiffen from nothing to full
+    healCooldownMs: 3000,      // how long two flecks whose spring tore wait before they can link again
+    maxBreaksPerStep: 200,     // safety cap per frame
+    spatialCellSize: 32,       // px per bucket of the particle and link grids
+    clearedGap: 1.5,           // water counts as cleared where no fleck is within this many spacings
+    maxTrackedDrops: 12,       // soap drops whose cleared area is followed
+    seed: 1,                   // for the random number generator
+  };
+
+  // Settings read only while the flecks are laid out; changing one lays them out again
+  const LAYOUT_SETTINGS = [
+    'layout', 'gridCols', 'gridRows', 'scatterCount', 'meshStiffness', 'structuralStiffness', 'shearStiffness',
+    'pepperRadius', 'borderPadding', 'soapCellSize', 'spatialCellSize',
+  ];
+
+  const FIXED_DT = 1000 / 60; // ms per step
+  const MAX_FRAME_MS = 1000 / 20; // avoid spiral of death
+  const INPUT_LOG_VERSION = 1;
+  const POISSON_AREA_PER_SAMPLE = 1.6; // area per Poisson-disk sample, in units of spacing²
+  const ISLAND_COLORS = 8; // colours islands cycle through, after the plain one for the largest
+  const LINK_RUN = 512; // flecks whose links are batched together, see batchLinks()
+  const CLEARING_STEPS = 6; // steps between measurements of the water cleared round soap drops
+
+  // Utility helpers
+  const clamp = (v, lo, hi) => (v < lo ? lo : v > hi ? hi : v);
+
+  // mulberry32, as in candle-jar-engine.js
+  function createRng(seed) {
+    let a = seed >>> 0;
+    const next = () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    // Input logs keep the position in the sequence where they start
+    next.getState = () => a;
+    next.setState = value => { a = value >>> 0; };
+    return next;
+  }
+
+  // Uniform grid over the canvas for neighbour queries. Points are bucketed by a counting sort
+  // into flat typed arrays, so a rebuild every step allocates nothing once the sizes settle.
+  class SpatialGrid {
+    constructor(cellSize) {
+      this.cellSize = cellSize;
+      this.cols = 1;
+      this.rows = 1;
+      this.cellStart = new Int32Array(2); // items of cell c are items[cellStart[c] .. cellStart[c + 1])
+      this.cursor = new Int32Array(1);
+      this.cellOf = new Int32Array(0);
+      this.items = new Int32Array(0);
+    }
+
+    // Buckets points 0 .. count - 1, read through xOf(i) and yOf(i)
+    rebuild(width, height, count, xOf, yOf) {
+      this.resize(width, height, count);
+      const { cellOf } = this;
+      for (let i = 0; i < count; i++) cellOf[i] = this.cellAt(xOf(i), yOf(i));
+      this.sort(count);
+    }
+
+    // The same for points stored as x, y pairs, without a call per point
+    rebuildPairs(width, height, count, xy) {
+      this.resize(width, height, count);
+      const { cellOf, cols, rows, cellSize } = this;
+      for (let i = 0; i < count; i++) {
+        const col = clamp(Math.floor(xy[i * 2] / cellSize), 0, cols - 1);
+        const row = clamp(Math.floor(xy[i * 2 + 1] / cellSize), 0, rows - 1);
+        cellOf[i] = row * cols + col;
+      }
+      this.sort(count);
+    }
+
+    resize(width, height, count) {
+      const size = this.cellSize;
+      this.cols = Math.max(1, Math.ceil(width / size));
+      this.rows = Math.max(1, Math.ceil(height / size));
+      const cells = this.cols * this.rows;
+      if (this.cellStart.length !== cells + 1) {
+        this.cellStart = new Int32Array(cells + 1);
+        this.cursor = new Int32Array(cells);
+      } else {
+        this.cellStart.fill(0);
+      }
+      if (this.items.length < count) {
+        this.items = new Int32Array(count);
+        this.cellOf = new Int32Array(count);
+      }
+    }
+
+    // Counting sort of the points by cellOf
+    sort(count) {
+      const { cellStart, cursor, cellOf, items } = this;
+      const cells = this.cols * this.rows;
+      for (let i = 0; i < count; i++) cellStart[cellOf[i] + 1]++;
+      for (let c = 0; c < cells; c++) cellStart[c + 1] += cellStart[c];
+      cursor.set(cellStart.subarray(0, cells));
+      for (let i = 0; i < count; i++) items[cursor[cellOf[i]]++] = i;
+    }
+
+    cellAt(x, y) {
+      const i = clamp(Math.floor(x / this.cellSize), 0, this.cols - 1);
+      const j = clamp(Math.floor(y / this.cellSize), 0, this.rows - 1);
+      return j * this.cols + i;
+    }
+
+    // Calls fn(i) for every point bucketed in a cell the box touches; callers check the exact shape
+    query(left, top, right, bottom, fn) {
+      const size = this.cellSize;
+      const i0 = clamp(Math.floor(left / size), 0, this.cols - 1);
+      const i1 = clamp(Math.floor(right / size), 0, this.cols - 1);
+      const j0 = clamp(Math.floor(top / size), 0, this.rows - 1);
+      const j1 = clamp(Math.floor(bottom / size), 0, this.rows - 1);
+      const { cellStart, items } = this;
+      for (let j = j0; j <= j1; j++) {
+        const end = cellStart[j * this.cols + i1 + 1];
+        for (let k = cellStart[j * this.cols + i0]; k < end; k++) fn(items[k]);
+      }
+    }
+  }
+
+  function createPepperEngine(overrides = {}, initialWidth = 800, initialHeight = 600) {
+    const SETTINGS = { ...DEFAULT_SETTINGS, ...overrides };
+    let width = initialWidth;
+    let height = initialHeight;
+    const rng = createRng(SETTINGS.seed);
+    const randRange = (lo, hi) => lo + rng() * (hi - lo);
+
+    // Particles: x, y interleaved
+    let count = 0;
+    let pos = new Float64Array(0);
+    let prev = new Float64Array(0);
+    let acc = new Float64Array(0);
+    let pinned = new Uint8Array(0);
+
+    // Links (distance constraints) between particles linkA[l] and linkB[l]
+    let linkCount = 0;
+    let linkA = new Int32Array(0);
+    let linkB = new Int32Array(0);
+    let linkRest = new Float32Array(0);
+    let linkStiffness = new Float32Array(0);
+    let linkWeakUntil = new Float64Array(0); // simNow() until which linkWeakThreshold applies
+    let linkWeakThreshold = new Float32Array(0); // 0 while never weakened
+    let weakUntilLatest = 0; // no link is weak after this simNow()
+    let linkBroken = new Uint8Array(0);
+    let linkGrowing = new Uint8Array(0); // 1 while a healed link is still stiffening
+    let growingLinks = []; // the links with linkGrowing set, see growLinks()
+    let tornPairs = new Map(); // pairKey() → simNow() when their link tore, while healing is on
+    let tornSweepAt = 0; // simNow() of the next sweep of tornPairs for pairs free to link again
+    let linksVersion = 0; // bumped whenever links are added or removed
+    let sentLinksVersion = -1;
+
+    let surface = null; // soap and sugar fields, see createSurfaceField()
+    let ripples = []; // { x, y, createdAt: simNow(), strength } from the water dropper
+    let stepCount = 0;
+    let linksBroken = false; // set when a link snaps, until the step clears broken links out
+    let firstBroken = Infinity; // lowest index of a link snapped since then
+    let linksGridStep = -1; // step the link grid was last built for
+    let particleGridStep = -1; // step the particle grid was last built for
+    let fleckSpacing = 0; // typical distance between neighbouring flecks
+    let stepsSinceBuild = 0;
+
+    // Islands: flecks still joined through links share an id. Each break checks whether its two
+    // ends came apart, see separate(), and each healed link joins the islands at its ends, freeing
+    // the id of the one relabelled for the next island to come off. A fleck only ever heals back
+    // to as many links as it was laid out with, so its slots in `neighbours` always have room.
+    let neighbourStart = new Int32Array(1); // neighbours of p: neighbours[neighbourStart[p] .. + degree[p]]
+    let neighbours = new Int32Array(0);
+    let degree = new Int32Array(0);
+    let missingEnds = 0; // places in the neighbour lists freed by torn springs, for healing to fill
+    let island = new Int32Array(0);
+    let islandSize = []; // by island id
+    let freeIslands = []; // ids emptied by joins, for separate() to hand out again
+    let islandColor = new Uint8Array(0); // 0 for the largest island and loose flecks
+    let islandsVersion = 0;
+    let sentIslandsVersion = -1;
+    let searchMark = new Int32Array(0);
+    let searchStamp = 0;
+    let islandsChanged = false; // set when islands split or join, until they are recoloured
+    let drops = []; // { x, y, time, area, peakArea } for recent soap drops
+    let bowl = { x: 0, y: 0, radius: 0 };
+    let obstacles = []; // { kind: 'cork' | 'spoon', ax, ay, bx, by, radius }: capsules around segment a–b
+    const placing = new Map(); // pointer id → spoon handle it is dragging out
+    let accumulatedMs = 0;
+
+    // Input logs: messages that changed the run, by the step they arrived before
+    let recording = null; // log being written
+    let replaying = null; // log being played back, and the index of its next event
+    let replayEvent = 0;
+    let inputSteps = 0; // steps since the recording or replay started
+
+    const particleGrid = new SpatialGrid(SETTINGS.spatialCellSize);
+    const linkGrid = new SpatialGrid(SETTINGS.spatialCellSize); // by link midpoint
+
+    // Milliseconds spent per subsystem since the last frame()
+    const profile = { steps: 0, ms: { surface: 0, forces: 0, integrate: 0, constraints: 0, collisions: 0, grids: 0, tools: 0, clearing: 0 } };
+    // Sections can nest, as when a tool needs the particle grid built; the outer one is charged
+    // only for its own time
+    let timedInside = 0; // ms spent in the sections run so far, including nested ones
+    function timed(section, fn) {
+      const t0 = performance.now();
+      const before = timedInside;
+      fn();
+      const spent = performance.now() - t0;
+      profile.ms[section] += spent - (timedInside - before);
+      timedInside = before + spent;
+    }
+
+    // Lays the flecks out for SETTINGS.layout on clean water. Obstacles stay where they were put.
+    function buildGrid() {
+      const pad = SETTINGS.borderPadding;
+      bowl = { x: width / 2, y: height / 2, radius: Math.max(10, Math.min(width, height) / 2 - pad) };
+      surface = createSurfaceField(); // a rebuilt dish starts with clean water
+      updateOpenCells();
+      ripples = [];
+      if (SETTINGS.layout === 'lattice') {
+        buildLattice();
+      } else {
+        scatterFlecks();
+        if (SETTINGS.layout === 'mesh') meshFlecks();
+      }
+      batchLinks();
+      linksVersion++;
+      stepCount++;
+      stepsSinceBuild = 0;
+      drops = [];
+      findIslands();
+    }
+
+    function allocateParticles(n) {
+      count = n;
+      pos = new Float64Array(count * 2);
+      prev = new Float64Array(count * 2);
+      acc = new Float64Array(count * 2);
+      pinned = new Uint8Array(count);
+    }
+
+    function placeParticle(p, x, y) {
+      pos[p * 2] = x;
+      pos[p * 2 + 1] = y;
+      prev[p * 2] = x + randRange(-0.25, 0.25);
+      prev[p * 2 + 1] = y + randRange(-0.25, 0.25);
+    }
+
+    function allocateLinks(capacity) {
+      linkA = new Int32Array(capacity);
+      linkB = new Int32Array(capacity);
+      linkRest = new Float32Array(capacity);
+      linkStiffness = new Float32Array(capacity);
+      linkWeakUntil = new Float64Array(capacity);
+      linkWeakThreshold = new Float32Array(capacity);
+      linkBroken = new Uint8Array(capacity);
+      linkGrowing = new Uint8Array(capacity);
+      growingLinks = [];
+      tornPairs = new Map();
+      tornSweepAt = 0;
+      firstBroken = Infinity;
+      weakUntilLatest = 0;
+      linkCount = 0;
+    }
+
+    function addLink(a, b, rest, stiffness) {
+      linkA[linkCount] = a;
+      linkB[linkCount] = b;
+      linkRest[linkCount] = rest;
+      linkStiffness[linkCount] = stiffness;
+      linkCount++;
+    }
+
+    // Reorders the links into batches that share no fleck, colouring each link greedily with the
+    // first batch free at both its ends. Within a batch no correction waits on the one before it,
+    // so the CPU overlaps them and a pass over the links takes about a third less time. Batches are
+    // made within runs of LINK_RUN flecks taken in order, so the links that snap first in a pass,
+    // up to maxBreaksPerStep, still lie together and tear a line rather than nicking the whole net.
+    function batchLinks() {
+      const used = new Int32Array(count); // bit c set once a link of batch c touches the fleck
+      const key = new Int32Array(linkCount);
+      const starts = new Int32Array((Math.floor(count / LINK_RUN) + 1) * 32 + 1);
+      for (let l = 0; l < linkCount; l++) {
+        const a = linkA[l];
+        const b = linkB[l];
+        const free = ~(used[a] | used[b]);
+        const c = free ? 31 - Math.clz32(free & -free) : 31; // past 31 batches, share the last
+        used[a] |= 1 << c;
+        used[b] |= 1 << c;
+        key[l] = Math.floor(Math.min(a, b) / LINK_RUN) * 32 + c;
+        starts[key[l] + 1]++;
+      }
+      for (let k = 1; k < starts.length; k++) starts[k] += starts[k - 1];
+      const columns = [linkA, linkB, linkRest, linkStiffness];
+      const copies = columns.map(column => column.slice(0, linkCount));
+      for (let l = 0; l < linkCount; l++) {
+        const to = starts[key[l]]++;
+        columns.forEach((column, i) => { column[to] = copies[i][l]; });
+      }
+    }
+
+    // A regular net of gridCols × gridRows nodes across the bowl's bounding square, trimmed to the
+    // water. Unequal counts give oblong cells.
+    function buildLattice() {
+      const reach = bowl.radius - SETTINGS.pepperRadius;
+      const cols = Math.max(2, Math.round(SETTINGS.gridCols));
+      const rows = Math.max(2, Math.round(SETTINGS.gridRows));
+      const cellW = (2 * reach) / (cols - 1);
+      const cellH = (2 * reach) / (rows - 1);
+      const left = bowl.x - reach;
+      const top = bowl.y - reach;
+
+      // Create particles where grid nodes fall in the water; -1 marks the rest
+      const index = new Int32Array(cols * rows).fill(-1);
+      let n = 0;
+      for (let k = 0; k < cols * rows; k++) {
+        if (inWater(left + (k % cols) * cellW, top + Math.floor(k / cols) * cellH)) index[k] = n++;
+      }
+      allocateParticles(n);
+      for (let k = 0; k < cols * rows; k++) {
+        if (index[k] >= 0) placeParticle(index[k], left + (k % cols) * cellW, top + Math.floor(k / cols) * cellH);
+      }
+
+      // Structural (horizontal, vertical) constraints, and shear (diagonal) ones for stability
+      allocateLinks(n * 4);
+      fleckSpacing = Math.sqrt(cellW * cellH);
+      const diagonal = Math.hypot(cellW, cellH);
+      const link = (k, m, rest, stiffness) => {
+        if (index[k] >= 0 && index[m] >= 0) addLink(index[k], index[m], rest, stiffness);
+      };
+      for (let j = 0; j < rows; j++) {
+        for (let i = 0; i < cols; i++) {
+          const k = j * cols + i;
+          if (i < cols - 1) link(k, k + 1, cellW, SETTINGS.structuralStiffness);
+          if (j < rows - 1) link(k, k + cols, cellH, SETTINGS.structuralStiffness);
+          if (i < cols - 1 && j < rows - 1) link(k, k + cols + 1, diagonal, SETTINGS.shearStiffness);
+          if (i > 0 && j < rows - 1) link(k, k + cols - 1, diagonal, SETTINGS.shearStiffness);
+        }
+      }
+    }
+
+    // Minimum distance between scattered flecks that gives about SETTINGS.scatterCount of them
+    function scatterSpacing() {
+      const reach = bowl.radius - SETTINGS.pepperRadius;
+      return Math.sqrt((Math.PI * reach * reach) / (SETTINGS.scatterCount * POISSON_AREA_PER_SAMPLE));
+    }
+
+    // Bridson's Poisson-disk sampling: no two flecks closer than the spacing, and no gap wide
+    // enough to fit another. Unlinked and unpinned.
+    function scatterFlecks() {
+      const reach = bowl.radius - SETTINGS.pepperRadius;
+      const left = bowl.x - reach;
+      const top = bowl.y - reach;
+      const w = reach * 2;
+      const h = reach * 2;
+      const r = scatterSpacing();
+      fleckSpacing = r;
+      const cell = r / Math.SQRT2; // at most one sample per cell
+      const cols = Math.max(1, Math.ceil(w / cell));
+      const rows = Math.max(1, Math.ceil(h / cell));
+      const cells = new Int32Array(cols * rows).fill(-1);
+      const xs = [];
+      const ys = [];
+      const active = [];
+      const accept = (x, y) => {
+        cells[Math.floor(y / cell) * cols + Math.floor(x / cell)] = xs.length;
+        active.push(xs.length);
+        xs.push(x);
+        ys.push(y);
+      };
+      const isFree = (x, y) => {
+        const ci = Math.floor(x / cell);
+        const cj = Math.floor(y / cell);
+        for (let j = Math.max(0, cj - 2); j <= Math.min(rows - 1, cj + 2); j++) {
+          for (let i = Math.max(0, ci - 2); i <= Math.min(cols - 1, ci + 2); i++) {
+            const s = cells[j * cols + i];
+            if (s < 0) continue;
+            const dx = xs[s] - x;
+            const dy = ys[s] - y;
+            if (dx * dx + dy * dy < r * r) return false;
+          }
+        }
+        return true;
+      };
+
+      // Start somewhere in the water
+      for (let tries = 0; tries < 100 && !xs.length; tries++) {
+        const x = randRange(0, w);
+        const y = randRange(0, h);
+        if (inWater(left + x, top + y)) accept(x, y);
+      }
+      while (active.length) {
+        const a = Math.floor(rng() * active.length);
+        const s = active[a];
+        let found = false;
+        // Up to 30 tries in the annulus between r and 2r around an active sample
+        for (let k = 0; k < 30; k++) {
+          const angle = randRange(0, Math.PI * 2);
+          const d = r * Math.sqrt(randRange(1, 4));
+          const x = xs[s] + Math.cos(angle) * d;
+          const y = ys[s] + Math.sin(angle) * d;
+          if (x < 0 || y < 0 || x >= w || y >= h || !inWater(left + x, top + y) || !isFree(x, y)) continue;
+          accept(x, y);
+          found = true;
+          break;
+        }
+        if (!found) {
+          active[a] = active[active.length - 1];
+          active.pop();
+        }
+      }
+
+      allocateParticles(xs.length);
+      for (let p = 0; p < count; p++) placeParticle(p, left + xs[p], top + ys[p]);
+      allocateLinks(0);
+    }
+
+    // Links the scattered flecks along the edges of their Delaunay triangulation. Poisson-disk
+    // samples leave no gap wider than twice the spacing, so every Delaunay triangle has its
+    // circumcircle within that radius and can be found among a fleck's near neighbours: a
+    // triangle belongs to the triangulation when no other fleck lies inside its circumcircle.
+    // Triangles along the bowl and around obstacles, with wider circles, are left out.
+    function meshFlecks() {
+      const maxRadius = 2.05 * fleckSpacing;
+      const reach = 2 * maxRadius; // longest possible edge
+      const grid = new SpatialGrid(maxRadius);
+      grid.rebuildPairs(width, height, count, pos);
+      const edges = new Set();
+      const addEdge = (a, b) => edges.add(a < b ? a * count + b : b * count + a);
+      const near = [];
+
+      for (let a = 0; a < count; a++) {
+        const ax = pos[a * 2];
+        const ay = pos[a * 2 + 1];
+        near.length = 0;
+        grid.query(ax - reach, ay - reach, ax + reach, ay + reach, b => {
+          const dx = pos[b * 2] - ax;
+          const dy = pos[b * 2 + 1] - ay;
+          if (b > a && dx * dx + dy * dy < reach * reach) near.push(b);
+        });
+        for (let m = 0; m < near.length; m++) {
+          for (let n = m + 1; n < near.length; n++) {
+            const b = near[m];
+            const c = near[n];
+            // Circumcircle, relative to a
+            const bx = pos[b * 2] - ax;
+            const by = pos[b * 2 + 1] - ay;
+            const cx = pos[c * 2] - ax;
+            const cy = pos[c * 2 + 1] - ay;
+            const det = 2 * (bx * cy - by * cx);
+            if (Math.abs(det) < 1e-9) continue; // collinear
+            const b2 = bx * bx + by * by;
+            const c2 = cx * cx + cy * cy;
+            const ux = (cy * b2 - by * c2) / det;
+            const uy = (bx * c2 - cx * b2) / det;
+            const radius2 = ux * ux + uy * uy;
+            if (radius2 > maxRadius * maxRadius) continue;
+            const ox = ax + ux;
+            const oy = ay + uy;
+            const radius = Math.sqrt(radius2);
+            let empty = true;
+            grid.query(ox - radius, oy - radius, ox + radius, oy + radius, q => {
+              if (!empty || q === a || q === b || q === c) return;
+              const dx = pos[q * 2] - ox;
+              const dy = pos[q * 2 + 1] - oy;
+              if (dx * dx + dy * dy < radius2 * (1 - 1e-9)) empty = false;
+            });
+            if (!empty) continue;
+            addEdge(a, b);
+            addEdge(a, c);
+            addEdge(b, c);
+          }
+        }
+      }
+
+      allocateLinks(edges.size);
+      for (const key of edges) {
+        const a = Math.floor(key / count);
+        const b = key % count;
+        addLink(a, b, Math.hypot(pos[b * 2] - pos[a * 2], pos[b * 2 + 1] - pos[a * 2 + 1]), SETTINGS.meshStiffness);
+      }
+    }
+
+    // Layout settings lay the flecks out again; the rest are read as the simulation runs
+    function configure(changes) {
+      const relayout = LAYOUT_SETTINGS.some(key => key in changes && changes[key] !== SETTINGS[key]);
+      Object.assign(SETTINGS, changes);
+      if (!relayout) return;
+      particleGrid.cellSize = SETTINGS.spatialCellSize;
+      linkGrid.cellSize = SETTINGS.spatialCellSize;
+      buildGrid();
+    }
+
+    // Simulated ms since the dish was laid out, counted in fixed steps; ripples, weakened links and
+    // drops are timed by it
+    function simNow() {
+      return stepsSinceBuild * FIXED_DT;
+    }
+
+    // A new canvas size gives a new bowl, so obstacles placed in the old one go
+    function resize(w, h) {
+      width = w;
+      height = h;
+      obstacles = [];
+      placing.clear();
+      buildGrid();
+    }
+
+    // Distance from (x, y) to the segment a–b, with the closest point written into `out`
+    function toSegment(x, y, ax, ay, bx, by, out) {
+      const sx = bx - ax;
+      const sy = by - ay;
+      const len2 = sx * sx + sy * sy;
+      const t = len2 > 0 ? clamp(((x - ax) * sx + (y - ay) * sy) / len2, 0, 1) : 0;
+      out.x = ax + sx * t;
+      out.y = ay + sy * t;
+      return Math.hypot(x - out.x, y - out.y);
+    }
+
+    const closest = { x: 0, y: 0 };
+
+    function obstacleAt(x, y) {
+      return obstacles.find(o => toSegment(x, y, o.ax, o.ay, o.bx, o.by, closest) < o.radius);
+    }
+
+    function inWater(x, y) {
+      const dx = x - bowl.x;
+      const dy = y - bowl.y;
+      return dx * dx + dy * dy < bowl.radius * bowl.radius && !obstacleAt(x, y);
+    }
+
+    // Whether the straight path from (x0, y0) to (x1, y1) runs into an obstacle
+    function blocked(x0, y0, x1, y1) {
+      return obstacles.some(o => segmentGap(x0, y0, x1, y1, o.ax, o.ay, o.bx, o.by) < o.radius);
+    }
+
+    // Shortest distance between segments p0–p1 and q0–q1: zero if they cross, otherwise an end
+    // of one is closest to the other
+    function segmentGap(p0x, p0y, p1x, p1y, q0x, q0y, q1x, q1y) {
+      const side = (ax, ay, bx, by, cx, cy) => Math.sign((bx - ax) * (cy - ay) - (by - ay) * (cx - ax));
+      if (
+        side(p0x, p0y, p1x, p1y, q0x, q0y) * side(p0x, p0y, p1x, p1y, q1x, q1y) < 0 &&
+        side(q0x, q0y, q1x, q1y, p0x, p0y) * side(q0x, q0y, q1x, q1y, p1x, p1y) < 0
+      ) return 0;
+      return Math.min(
+        toSegment(p0x, p0y, q0x, q0y, q1x, q1y, closest),
+        toSegment(p1x, p1y, q0x, q0y, q1x, q1y, closest),
+        toSegment(q0x, q0y, p0x, p0y, p1x, p1y, closest),
+        toSegment(q1x, q1y, p0x, p0y, p1x, p1y, closest),
+      );
+    }
+
+    function addObstacle(kind, x, y) {
+      const radius = kind === 'cork' ? SETTINGS.corkRadius : SETTINGS.spoonRadius;
+      const obstacle = { kind, ax: x, ay: y, bx: x, by: y, radius };
+      obstacles.push(obstacle);
+      updateOpenCells();
+      return obstacle;
+    }
+
+    // Clicking an obstacle with the cork or spoon takes it out again
+    function removeObstacleAt(x, y) {
+      const hit = obstacleAt(x, y);
+      if (!hit) return false;
+      obstacles = obstacles.filter(o => o !== hit);
+      updateOpenCells();
+      return true;
+    }
+
+    // Built on demand, at most once a step, so a dish left alone never sorts its flecks at all.
+    // Once built, the grid may trail the flecks by up to a step.
+    function particlesNear(left, top, right, bottom, fn) {
+      if (particleGridStep !== stepCount) {
+        timed('grids', () => particleGrid.rebuildPairs(width, height, count, pos));
+        particleGridStep = stepCount;
+      }
+      particleGrid.query(left, top, right, bottom, fn);
+    }
+
+    // Built on demand, at most once a step: only tearing near the pointer asks for it
+    function linksNear(x, y, radius, fn) {
+      if (linksGridStep !== stepCount) {
+        timed('grids', () => linkGrid.rebuild(
+          width,
+          height,
+          linkCount,
+          l => (pos[linkA[l] * 2] + pos[linkB[l] * 2]) * 0.5,
+          l => (pos[linkA[l] * 2 + 1] + pos[linkB[l] * 2 + 1]) * 0.5,
+        ));
+        linksGridStep = stepCount;
+      }
+      linkGrid.query(x - radius, y - radius, x + radius, y + radius, fn);
+    }
+
+    // Soap and sugar on a grid of cells covering the canvas. Soap concentration is surface
+    // coverage: 1 covers the surface fully, more than that sits in the drop as a reservoir. Only
+    // cells whose centre is in the water are open; nothing crosses into the others.
+    function createSurfaceField() {
+      const size = SETTINGS.soapCellSize;
+      const cols = Math.max(2, Math.ceil(width / size));
+      const rows = Math.max(2, Math.ceil(height / size));
+      const n = cols * rows;
+      return {
+        cols,
+        rows,
+        size,
+        open: new Uint8Array(n),
+        openCount: 0,
+        soap: new Float32Array(n),
+        sugar: new Float32Array(n),
+        next: new Float32Array(n),
+        tension: new Float32Array(n).fill(SETTINGS.tensionClean),
+        gradX: new Float32Array(n),
+        gradY: new Float32Array(n),
+        meanTension: SETTINGS.tensionClean,
+        clean: true, // no soap or sugar anywhere, so nothing to move and no gradient
+      };
+    }
+
+    // Soap under an obstacle stays there, out of reach, until the obstacle is taken away
+    function updateOpenCells() {
+      const { cols, size, open } = surface;
+      surface.openCount = 0;
+      for (let k = 0; k < open.length; k++) {
+        open[k] = inWater(((k % cols) + 0.5) * size, (Math.floor(k / cols) + 0.5) * size) ? 1 : 0;
+        surface.openCount += open[k];
+      }
+      updateTension();
+    }
+
+    // Szyszkowski equation for soap, floored at the tension of a saturated surface, plus the
+    // sugar's saturating rise
+    function tensionOf(coverage, sugar) {
+      const t = SETTINGS.tensionClean - SETTINGS.tensionSlope * Math.log(1 + coverage / SETTINGS.tensionHalfCoverage);
+      return Math.max(SETTINGS.tensionSaturated, t) + (SETTINGS.sugarTensionRise * sugar) / (sugar + SETTINGS.sugarHalfEffect);
+    }
+
+    // Deposits `fraction` of a dish-covering amount of soap as a Gaussian around (x, y)
+    function addSoap(x, y, fraction = SETTINGS.soapPerDrop) {
+      deposit(surface.soap, x, y, fraction * surface.openCount, SETTINGS.soapDropRadius);
+    }
+
+    function addSugar(x, y, strength = 1) {
+      deposit(surface.sugar, x, y, SETTINGS.sugarPerLump * strength, SETTINGS.sugarRadius);
+    }
+
+    // Fresh water over the whole dish; flecks stay where they are
+    function rinse() {
+      surface.soap.fill(0);
+      surface.sugar.fill(0);
+      surface.clean = true;
+      updateTension();
+    }
+
+    // Adds `amount`, spread as a Gaussian of radius `sigma` px around (x, y), to the open cells
+    // of a field; none of it lands if the spot is away from the water
+    function deposit(field, x, y, amount, sigma) {
+      const { cols, rows, size, open } = surface;
+      const reach = Math.ceil((sigma * 3) / size);
+      const ci = Math.floor(x / size);
+      const cj = Math.floor(y / size);
+      const weights = [];
+      let total = 0;
+      for (let j = Math.max(0, cj - reach); j <= Math.min(rows - 1, cj + reach); j++) {
+        for (let i = Math.max(0, ci - reach); i <= Math.min(cols - 1, ci + reach); i++) {
+          const dx = (i + 0.5) * size - x;
+          const dy = (j + 0.5) * size - y;
+          const w = Math.exp(-(dx * dx + dy * dy) / (2 * sigma * sigma));
+          if (!open[j * cols + i]) continue;
+          weights.push([j * cols + i, w]);
+          total += w;
+        }
+      }
+      if (!(total > 0) || !(amount > 0)) return;
+      for (const [k, w] of weights) field[k] += (amount * w) / total;
+      surface.clean = false;
+    }
+
+    // Tension per cell and its gradient by central differences (one-sided at walls; none in
+    // closed cells). The mean is over the water only.
+    function updateTension() {
+      const { cols, rows, size, open, soap, sugar, tension, gradX, gradY } = surface;
+      let sum = 0;
+      for (let k = 0; k < soap.length; k++) {
+        tension[k] = tensionOf(soap[k], sugar[k]);
+        if (open[k]) sum += tension[k];
+      }
+      surface.meanTension = surface.openCount ? sum / surface.openCount : SETTINGS.tensionClean;
+      for (let j = 0; j < rows; j++) {
+        for (let i = 0; i < cols; i++) {
+          const k = j * cols + i;
+          const l = i > 0 && open[k - 1] ? k - 1 : k;
+          const r = i < cols - 1 && open[k + 1] ? k + 1 : k;
+          const u = j > 0 && open[k - cols] ? k - cols : k;
+          const d = j < rows - 1 && open[k + cols] ? k + cols : k;
+          gradX[k] = open[k] && r !== l ? (tension[r] - tension[l]) / (size * (r - l)) : 0;
+          gradY[k] = open[k] && d !== u ? (tension[d] - tension[u]) / (size * ((d - u) / cols)) : 0;
+        }
+      }
+    }
+
+    // Moves soap across each cell face: diffusion down the concentration gradient plus upwind
+    // Marangoni advection towards higher tension. Faces onto closed cells carry nothing, so soap
+    // is kept in the water.
+    // Sugar only diffuses, and dissolves away.
+    function stepSurface(dtSec) {
+      const { soap, sugar, tension } = surface;
+      const maxCourant = 0.12; // four faces together never empty more than the cell holds
+      const soapDiffusion = Math.min(maxCourant, (SETTINGS.soapDiffusion * dtSec) / (surface.size * surface.size));
+      const mobility = (SETTINGS.marangoniMobility * dtSec) / (surface.size * surface.size);
+      transport(soap, (a, b) => {
+        const courant = clamp(mobility * (tension[b] - tension[a]), -maxCourant, maxCourant);
+        const advected = courant > 0 ? courant * soap[a] : courant * soap[b];
+        return advected + soapDiffusion * (soap[a] - soap[b]);
+      });
+      const sugarDiffusion = Math.min(maxCourant, (SETTINGS.sugarDiffusion * dtSec) / (surface.size * surface.size));
+      const dissolved = Math.exp((-Math.LN2 * dtSec * 1000) / SETTINGS.sugarHalfLifeMs);
+      transport(sugar, (a, b) => sugarDiffusion * (sugar[a] - sugar[b]));
+      for (let k = 0; k < sugar.length; k++) sugar[k] *= dissolved;
+      updateTension();
+    }
+
+    // Applies `flux(a, b)`, the amount moving from cell a to its right or lower neighbour b
+    function transport(field, flux) {
+      const { cols, rows, open, next } = surface;
+      next.set(field);
+      for (let j = 0; j < rows; j++) {
+        for (let i = 0; i < cols; i++) {
+          const k = j * cols + i;
+          if (!open[k]) continue;
+          if (i < cols - 1 && open[k + 1]) {
+            const moved = flux(k, k + 1);
+            next[k] -= moved;
+            next[k + 1] += moved;
+          }
+          if (j < rows - 1 && open[k + cols]) {
+            const moved = flux(k, k + cols);
+            next[k] -= moved;
+            next[k + cols] += moved;
+          }
+        }
+      }
+      for (let k = 0; k < next.length; k++) field[k] = Math.max(0, next[k]);
+    }
+
+    // Tension of the field cell under a point in canvas px
+    function tensionAt(x, y) {
+      const { cols, rows, size, tension } = surface;
+      const i = clamp(Math.floor(x / size), 0, cols - 1);
+      const j = clamp(Math.floor(y / size), 0, rows - 1);
+      return tension[j * cols + i];
+    }
+
+    function markWeak(l, tempThreshold, untilTs) {
+      // Only strengthen weakening if it's more permissive (lower threshold)
+      const clamped = Math.max(tempThreshold, SETTINGS.minWeakThreshold);
+      if (linkWeakThreshold[l] === 0 || clamped < linkWeakThreshold[l]) linkWeakThreshold[l] = clamped;
+      linkWeakUntil[l] = Math.max(linkWeakUntil[l], untilTs);
+      weakUntilLatest = Math.max(weakUntilLatest, untilTs);
+    }
+
+    function breakLink(l) {
+      if (linkBroken[l]) return;
+      linkBroken[l] = 1;
+      linksBroken = true;
+      firstBroken = Math.min(firstBroken, l);
+      if (SETTINGS.healRate > 0) tornPairs.set(pairKey(linkA[l], linkB[l]), simNow());
+      unlinkNeighbours(linkA[l], linkB[l]);
+      separate(linkA[l], linkB[l]);
+      // Apply a separation impulse along the spring direction
+      const a = linkA[l] * 2;
+      const b = linkB[l] * 2;
+      const dx = pos[b] - pos[a];
+      const dy = pos[b + 1] - pos[a + 1];
+      const dist = Math.hypot(dx, dy) || 1e-6;
+      const nx = dx / dist;
+      const ny = dy / dist;
+      // A healed spring still stiffening has less to let go of
+      const push = SETTINGS.tearImpulse * (linkGrowing[l] ? linkStiffness[l] / (healedStiffness() || 1) : 1);
+      const pinnedA = pinned[linkA[l]];
+      const pinnedB = pinned[linkB[l]];
+      if (!pinnedA && !pinnedB) {
+        pos[a] -= nx * push * 0.5;
+        pos[a + 1] -= ny * push * 0.5;
+        pos[b] += nx * push * 0.5;
+        pos[b + 1] += ny * push * 0.5;
+      } else if (pinnedA && !pinnedB) {
+        pos[b] += nx * push;
+        pos[b + 1] += ny * push;
+      } else if (!pinnedA && pinnedB) {
+        pos[a] -= nx * push;
+        pos[a + 1] -= ny * push;
+      }
+    }
+
+    // One pass pulling every link towards its rest length, snapping those stretched past their
+    // threshold, until maxBreaksPerStep of them have snapped. This is most of the work of a step,
+    // so the arrays are held in locals and weakened thresholds are only looked up while a link can
+    // still be weak. Returns the largest correction as a share of the link's rest length, or
+    // Infinity when it stopped at the cap.
+    function relaxLinks(nowTs) {
+      const p = pos;
+      const fixed = pinned;
+      const A = linkA;
+      const B = linkB;
+      const rests = linkRest;
+      const stiffnesses = linkStiffness;
+      const broken = linkBroken;
+      const anyWeak = nowTs <= weakUntilLatest;
+      const threshold = SETTINGS.breakThreshold;
+      const maxBreaks = SETTINGS.maxBreaksPerStep;
+      const n = linkCount;
+      let breaks = 0;
+      let worst = 0; // largest correction, as a share of the spring's rest length
+      for (let l = 0; l < n; l++) {
+        if (broken[l]) continue;
+        const pa = A[l];
+        const pb = B[l];
+        const a = pa * 2;
+        const b = pb * 2;
+        const dx = p[b] - p[a];
+        const dy = p[b + 1] - p[a + 1];
+        const dist = Math.sqrt(dx * dx + dy * dy) || 1e-6;
+        const rest = rests[l];
+        const limit = anyWeak && nowTs <= linkWeakUntil[l] && linkWeakThreshold[l] > 0 ? linkWeakThreshold[l] : threshold;
+        if (dist > rest * limit) {
+          breakLink(l);
+          if (++breaks >= maxBreaks) return Infinity;
+          continue;
+        }
+        const correction = stiffnesses[l] * (dist - rest);
+        if (correction > worst * rest || -correction > worst * rest) worst = Math.abs(correction) / rest;
+        // Split the correction between the ends; a pinned end stays put and the other takes it all
+        const move = correction / dist;
+        const fixedA = fixed[pa];
+        const fixedB = fixed[pb];
+        if (!fixedA && !fixedB) {
+          const moveX = dx * 0.5 * move;
+          const moveY = dy * 0.5 * move;
+          p[a] += moveX;
+          p[a + 1] += moveY;
+          p[b] -= moveX;
+          p[b + 1] -= moveY;
+        } else if (!fixedB) {
+          p[b] -= dx * move;
+          p[b + 1] -= dy * move;
+        } else if (!fixedA) {
+          p[a] += dx * move;
+          p[a + 1] += dy * move;
+        }
+      }
+      return worst;
+    }
+
+    // Drops broken links, keeping the rest in order. Links before the first break stay put, and
+    // the runs between breaks move down in one go.
+    function compactLinks() {
+      const columns = [linkA, linkB, linkRest, linkStiffness, linkWeakUntil, linkWeakThreshold, linkGrowing];
+      let kept = firstBroken;
+      let l = firstBroken;
+      while (l < linkCount) {
+        if (linkBroken[l]) {
+          l++;
+          continue;
+        }
+        let end = l + 1;
+        while (end < linkCount && !linkBroken[end]) end++;
+        for (const column of columns) column.copyWithin(kept, l, end);
+        kept += end - l;
+        l = end;
+      }
+      linkBroken.fill(0, firstBroken, linkCount);
+      let g = 0;
+      while (g < growingLinks.length && growingLinks[g] < firstBroken) g++;
+      growingLinks.length = g;
+      for (let m = firstBroken; m < kept; m++) if (linkGrowing[m]) growingLinks.push(m);
+      linkCount = kept;
+      firstBroken = Infinity;
+      linksVersion++;
+    }
+
+    // Neighbour lists from the links, and islands labelled by flood fill
+    function findIslands() {
+      degree = new Int32Array(count);
+      for (let l = 0; l < linkCount; l++) {
+        degree[linkA[l]]++;
+        degree[linkB[l]]++;
+      }
+      neighbourStart = new Int32Array(count + 1);
+      for (let p = 0; p < count; p++) neighbourStart[p + 1] = neighbourStart[p] + degree[p];
+      neighbours = new Int32Array(neighbourStart[count]);
+      missingEnds = 0;
+      degree.fill(0);
+      for (let l = 0; l < linkCount; l++) {
+        const a = linkA[l];
+        const b = linkB[l];
+        neighbours[neighbourStart[a] + degree[a]++] = b;
+        neighbours[neighbourStart[b] + degree[b]++] = a;
+      }
+
+      island = new Int32Array(count).fill(-1);
+      islandSize = [];
+      freeIslands = [];
+      const queue = [];
+      for (let p = 0; p < count; p++) {
+        if (island[p] >= 0) continue;
+        const id = islandSize.length;
+        island[p] = id;
+        queue.length = 0;
+        queue.push(p);
+        for (let i = 0; i < queue.length; i++) {
+          const q = queue[i];
+          for (let k = neighbourStart[q]; k < neighbourStart[q] + degree[q]; k++) {
+            const n = neighbours[k];
+            if (island[n] < 0) {
+              island[n] = id;
+              queue.push(n);
+            }
+          }
+        }
+        islandSize.push(queue.length);
+      }
+      searchMark = new Int32Array(count);
+      searchStamp = 0;
+      colorIslands();
+    }
+
+    function unlinkNeighbours(a, b) {
+      const remove = (p, q) => {
+        const start = neighbourStart[p];
+        const last = start + degree[p] - 1;
+        for (let k = start; k <= last; k++) {
+          if (neighbours[k] !== q) continue;
+          neighbours[k] = neighbours[last];
+          degree[p]--;
+          missingEnds++;
+          return;
+        }
+      };
+      remove(a, b);
+      remove(b, a);
+    }
+
+    // Called as soon as the link between a and b is gone. Searches outwards from both ends in
+    // turn: if the searches meet, the island holds together; otherwise the side that runs out of
+    // flecks first has come off, and only it is relabelled, so a break costs the smaller side.
+    const searchA = [];
+    const searchB = [];
+    function separate(a, b) {
+      const markA = ++searchStamp;
+      const markB = ++searchStamp;
+      searchA.length = 0;
+      searchB.length = 0;
+      searchA.push(a);
+      searchB.push(b);
+      searchMark[a] = markA;
+      searchMark[b] = markB;
+      let nextA = 0;
+      let nextB = 0;
+      let apart = null;
+      for (;;) {
+        if (grow(searchA, nextA++, markA, markB)) return;
+        if (nextA === searchA.length) {
+          apart = searchA;
+          break;
+        }
+        if (grow(searchB, nextB++, markB, markA)) return;
+        if (nextB === searchB.length) {
+          apart = searchB;
+          break;
+        }
+      }
+      const from = island[a];
+      const id = freeIslands.length ? freeIslands.pop() : islandSize.length;
+      islandSize[id] = apart.length;
+      islandSize[from] -= apart.length;
+      for (let k = 0; k < apart.length; k++) island[apart[k]] = id;
+      islandsChanged = true;
+    }
+
+    // Visits the neighbours of search[index]; true if it reached the other search
+    function grow(search, index, mark, otherMark) {
+      const p = search[index];
+      for (let k = neighbourStart[p]; k < neighbourStart[p] + degree[p]; k++) {
+        const n = neighbours[k];
+        if (searchMark[n] === otherMark) return true;
+        if (searchMark[n] !== mark) {
+          searchMark[n] = mark;
+          search.push(n);
+        }
+      }
+      return false;
+    }
+
+    // A new link between two islands makes them one; the smaller one is relabelled
+    function joinIslands(a, b) {
+      let keep = island[a];
+      let gone = island[b];
+      let start = b;
+      if (keep === gone) return;
+      if (islandSize[gone] > islandSize[keep]) {
+        [keep, gone] = [gone, keep];
+        start = a;
+      }
+      const queue = [start];
+      island[start] = keep;
+      for (let i = 0; i < queue.length; i++) {
+        const q = queue[i];
+        for (let k = neighbourStart[q]; k < neighbourStart[q] + degree[q]; k++) {
+          const n = neighbours[k];
+          if (island[n] !== gone) continue;
+          island[n] = keep;
+          queue.push(n);
+        }
+      }
+      islandSize[keep] += islandSize[gone];
+      islandSize[gone] = 0;
+      freeIslands.push(gone);
+      islandsChanged = true;
+    }
+
+    function linked(a, b) {
+      for (let k = neighbourStart[a]; k < neighbourStart[a] + degree[a]; k++) if (neighbours[k] === b) return true;
+      return false;
+    }
+
+    function pairKey(a, b) {
+      return a < b ? a * count + b : b * count + a;
+    }
+
+    // True while the spring between a and b is too recently torn to grow back
+    function tornLately(a, b, now) {
+      const key = pairKey(a, b);
+      const tornAt = tornPairs.get(key);
+      if (tornAt === undefined) return false;
+      if (now - tornAt < SETTINGS.healCooldownMs) return true;
+      tornPairs.delete(key);
+      return false;
+    }
+
+    function healedStiffness() {
+      return SETTINGS.layout === 'mesh' ? SETTINGS.meshStiffness : SETTINGS.structuralStiffness;
+    }
+
+    // Healed springs stiffen from nothing to full over healGrowMs, so one that forms across a
+    // strained gap eases the flecks together instead of tearing again straight away
+    function growLinks(dtSec) {
+      const stiffness = healedStiffness();
+      const rise = SETTINGS.healGrowMs > 0 ? (stiffness * dtSec * 1000) / SETTINGS.healGrowMs : stiffness;
+      let kept = 0;
+      for (let i = 0; i < growingLinks.length; i++) {
+        const l = growingLinks[i];
+        if (linkBroken[l]) continue;
+        linkStiffness[l] = Math.min(stiffness, linkStiffness[l] + rise);
+        if (linkStiffness[l] < stiffness) growingLinks[kept++] = l;
+        else linkGrowing[l] = 0;
+      }
+      growingLinks.length = kept;
+    }
+
+    // Torn pepper knits together again. Each step a fleck that has lost springs grows one, with a
+    // chance of healRate per second, to the nearest fleck within healRange spacings that has lost
+    // some too, unless a cork or spoon is in the way or the two tore apart within healCooldownMs.
+    // The new spring rests at its current length, or at the spacing if the two are closer, and
+    // stiffens over healGrowMs, see growLinks(). Soap holds healing back as far as it has lowered
+    // the tension, so the pepper clumps again on clean water, as after a rinse.
+    function healLinks(dtSec) {
+      const now = simNow();
+      if (now >= tornSweepAt) {
+        tornPairs.forEach((tornAt, key) => { if (now - tornAt >= SETTINGS.healCooldownMs) tornPairs.delete(key); });
+        tornSweepAt = now + Math.max(1000, SETTINGS.healCooldownMs);
+      }
+      if (!missingEnds) return; // no fleck is short of springs
+      const chance = SETTINGS.healRate * dtSec;
+      const range = SETTINGS.healRange * fleckSpacing;
+      const span = SETTINGS.tensionClean - SETTINGS.tensionSaturated;
+      const short = p => degree[p] < neighbourStart[p + 1] - neighbourStart[p];
+      let healed = false;
+      for (let p = 0; p < count; p++) {
+        if (!short(p)) continue;
+        const x = pos[p * 2];
+        const y = pos[p * 2 + 1];
+        const roll = rng();
+        if (roll >= chance) continue;
+        const clean = clamp((tensionAt(x, y) - SETTINGS.tensionSaturated) / span, 0, 1);
+        if (roll >= chance * clean) continue;
+        let best = -1;
+        let bestDist = range;
+        particlesNear(x - range, y - range, x + range, y + range, (q) => {
+          if (q === p || !short(q)) return;
+          const d = Math.hypot(pos[q * 2] - x, pos[q * 2 + 1] - y);
+          if (d >= bestDist || linked(p, q)) return;
+          if (tornPairs.size && tornLately(p, q, now)) return;
+          if (obstacles.length && blocked(x, y, pos[q * 2], pos[q * 2 + 1])) return;
+          best = q;
+          bestDist = d;
+        });
+        if (best < 0) continue;
+        linkWeakUntil[linkCount] = 0;
+        linkWeakThreshold[linkCount] = 0;
+        linkBroken[linkCount] = 0;
+        linkGrowing[linkCount] = 1;
+        growingLinks.push(linkCount);
+        addLink(p, best, Math.max(bestDist, fleckSpacing), 0);
+        neighbours[neighbourStart[p] + degree[p]++] = best;
+        neighbours[neighbourStart[best] + degree[best]++] = p;
+        missingEnds -= 2;
+        joinIslands(p, best);
+        healed = true;
+      }
+      if (healed) linksVersion++;
+    }
+
+    // The largest island stays plain and the others cycle through the colours by id, so an
+    // island keeps its colour while smaller ones tear off it
+    function colorIslands() {
+      let largest = 0;
+      for (let id = 1; id < islandSize.length; id++) if (islandSize[id] > islandSize[largest]) largest = id;
+      islandColor = new Uint8Array(count);
+      for (let p = 0; p < count; p++) {
+        const id = island[p];
+        if (id !== largest && islandSize[id] > 1) islandColor[p] = 1 + (id % ISLAND_COLORS);
+      }
+      islandsVersion++;
+      islandsChanged = false;
+    }
+
+    // Islands of two or more flecks, and how much water around each recent soap drop was clear of
+    // pepper when last measured
+    function metrics() {
+      let islands = 0;
+      let largestIsland = 0;
+      let looseFlecks = 0;
+      for (let id = 0; id < islandSize.length; id++) {
+        if (islandSize[id] === 1) looseFlecks++;
+        else if (islandSize[id] > 1) islands++;
+        largestIsland = Math.max(largestIsland, islandSize[id]);
+      }
+      return {
+        time: simNow() / 1000,
+        islands,
+        largestIsland,
+        looseFlecks,
+        bowlArea: surface.openCount * surface.size * surface.size,
+        drops: drops.map(d => ({ ...d })),
+      };
+    }
+
+    // The open field cells connected to each drop with no fleck within the gap. Measured by
+    // step() on a fixed step count, so the peak a drop reaches does not depend on how often
+    // frames are drawn and a replay finds the same one.
+    function measureClearing() {
+      const { cols, rows, size, open } = surface;
+      const gap = SETTINGS.clearedGap * fleckSpacing;
+      // Open cells with no fleck within the gap of their centre
+      const clear = open.slice();
+      for (let p = 0; p < count; p++) {
+        const x = pos[p * 2];
+        const y = pos[p * 2 + 1];
+        const i0 = Math.max(0, Math.ceil((x - gap) / size - 0.5));
+        const i1 = Math.min(cols - 1, Math.floor((x + gap) / size - 0.5));
+        const j0 = Math.max(0, Math.ceil((y - gap) / size - 0.5));
+        const j1 = Math.min(rows - 1, Math.floor((y + gap) / size - 0.5));
+        for (let j = j0; j <= j1; j++) {
+          for (let i = i0; i <= i1; i++) {
+            const dx = (i + 0.5) * size - x;
+            const dy = (j + 0.5) * size - y;
+            if (dx * dx + dy * dy < gap * gap) clear[j * cols + i] = 0;
+          }
+        }
+      }
+      const seen = new Uint8Array(open.length);
+      const queue = [];
+      for (const d of drops) {
+        const start = clamp(Math.floor(d.y / size), 0, rows - 1) * cols + clamp(Math.floor(d.x / size), 0, cols - 1);
+        let cells = 0;
+        if (clear[start]) {
+          seen.fill(0);
+          seen[start] = 1;
+          queue.length = 0;
+          queue.push(start);
+          for (let i = 0; i < queue.length; i++) {
+            const k = queue[i];
+            const i0 = k % cols;
+            [i0 > 0 ? k - 1 : -1, i0 < cols - 1 ? k + 1 : -1, k - cols, k + cols].forEach(n => {
+              if (n >= 0 && n < clear.length && clear[n] && !seen[n]) {
+                seen[n] = 1;
+                queue.push(n);
+              }
+            });
+          }
+          cells = queue.length;
+        }
+        d.area = cells * size * size;
+        d.peakArea = Math.max(d.peakArea, d.area);
+      }
+    }
+
+    // Springless flecks: pairs closer than the spacing are pushed apart, and pairs a little
+    // further off pull together, so loose pepper clumps without overlapping. Positional, like the
+    // links, with the pull written as the displacement its acceleration gives over one step.
+    function touchFlecks(dtSec) {
+      const r = fleckSpacing;
+      const range = r * SETTINGS.cohesionRange;
+      const pull = SETTINGS.cohesionStrength * dtSec * dtSec;
+      for (let p = 0; p < count; p++) {
+        const px = pos[p * 2];
+        const py = pos[p * 2 + 1];
+        particlesNear(px - range, py - range, px + range, py + range, q => {
+          if (q <= p) return;
+          const dx = pos[q * 2] - px;
+          const dy = pos[q * 2 + 1] - py;
+          const d2 = dx * dx + dy * dy;
+          if (d2 >= range * range) return;
+          const d = Math.sqrt(d2) || 1e-6;
+          // Half of the move to each fleck, along the line between them
+          const move = d < r
+            ? -0.5 * SETTINGS.repulsionStiffness * (r - d)
+            : 0.5 * pull * (1 - (d - r) / (range - r));
+          const mx = (dx / d) * move;
+          const my = (dy / d) * move;
+          if (!pinned[p]) {
+            pos[p * 2] += mx;
+            pos[p * 2 + 1] += my;
+          }
+          if (!pinned[q]) {
+            pos[q * 2] -= mx;
+            pos[q * 2 + 1] -= my;
+          }
+        });
+      }
+    }
+
+    // Moves fleck p `depth` px along the unit normal (nx, ny) off a wall it has run into. Its
+    // speed into the wall is lost and its speed along it cut by the wall friction.
+    function pushOffWall(p, nx, ny, depth) {
+      const vx = pos[p * 2] - prev[p * 2];
+      const vy = pos[p * 2 + 1] - prev[p * 2 + 1];
+      const into = Math.min(0, vx * nx + vy * ny);
+      const keep = 1 - SETTINGS.wallFriction;
+      pos[p * 2] += nx * depth;
+      pos[p * 2 + 1] += ny * depth;
+      prev[p * 2] = pos[p * 2] - (vx - nx * into) * keep;
+      prev[p * 2 + 1] = pos[p * 2 + 1] - (vy - ny * into) * keep;
+    }
+
+    // Keeps flecks inside the bowl and outside the obstacles
+    function collide() {
+      const reach = bowl.radius - SETTINGS.pepperRadius;
+      for (let p = 0; p < count; p++) {
+        if (pinned[p]) continue;
+        const dx = pos[p * 2] - bowl.x;
+        const dy = pos[p * 2 + 1] - bowl.y;
+        const d2 = dx * dx + dy * dy;
+        if (d2 <= reach * reach) continue;
+        const d = Math.sqrt(d2);
+        pushOffWall(p, -dx / d, -dy / d, d - reach);
+      }
+      // The particle grid may be a step old, so look a little wider than the obstacle
+      const margin = SETTINGS.spatialCellSize;
+      for (const o of obstacles) {
+        const r = o.radius + SETTINGS.pepperRadius;
+        const left = Math.min(o.ax, o.bx) - r - margin;
+        const top = Math.min(o.ay, o.by) - r - margin;
+        particlesNear(left, top, Math.max(o.ax, o.bx) + r + margin, Math.max(o.ay, o.by) + r + margin, p => {
+          if (pinned[p]) return;
+          const x = pos[p * 2];
+          const y = pos[p * 2 + 1];
+          const d = toSegment(x, y, o.ax, o.ay, o.bx, o.by, closest);
+          if (d >= r) return;
+          // Dead on the axis: out sideways
+          const nx = d > 1e-6 ? (x - closest.x) / d : -(o.by - o.ay) / (Math.hypot(o.bx - o.ax, o.by - o.ay) || 1);
+          const ny = d > 1e-6 ? (y - closest.y) / d : (o.bx - o.ax) / (Math.hypot(o.bx - o.ax, o.by - o.ay) || 1);
+          pushOffWall(p, nx, ny, r - d);
+        });
+      }
+    }
+
+    function step(dtMs) {
+      const dtSec = dtMs / 1000;
+      if (replaying) replayInput();
+
+      timed('surface', () => {
+        if (surface.clean) return;
+        for (let n = 0; n < SETTINGS.soapSubsteps; n++) stepSurface(dtSec / SETTINGS.soapSubsteps);
+      });
+
+      timed('forces', () => {
+        // Gravity, small jitter to keep flecks lively, and the Marangoni pull: flecks ride the
+        // surface towards higher tension, with the gradient sampled bilinearly between cell
+        // centres. Clean water has no gradient to sample.
+        const jitter = SETTINGS.jitterAcceleration;
+        const gravity = SETTINGS.gravityY;
+        const coupling = SETTINGS.fleckCoupling;
+        const { cols, rows, size, gradX, gradY, clean } = surface;
+        const xy = pos;
+        const a = acc;
+        for (let p = 0; p < count; p++) {
+          if (pinned[p]) continue;
+          let gx = 0;
+          let gy = 0;
+          if (!clean) {
+            const fx = clamp(xy[p * 2] / size - 0.5, 0, cols - 1);
+            const fy = clamp(xy[p * 2 + 1] / size - 0.5, 0, rows - 1);
+            const i = Math.min(Math.floor(fx), cols - 2);
+            const j = Math.min(Math.floor(fy), rows - 2);
+            const k = j * cols + i;
+            const tx = fx - i;
+            const ty = fy - j;
+            const w00 = (1 - tx) * (1 - ty);
+            const w10 = tx * (1 - ty);
+            const w01 = (1 - tx) * ty;
+            const w11 = tx * ty;
+            gx = gradX[k] * w00 + gradX[k + 1] * w10 + gradX[k + cols] * w01 + gradX[k + cols + 1] * w11;
+            gy = gradY[k] * w00 + gradY[k + 1] * w10 + gradY[k + cols] * w01 + gradY[k + cols + 1] * w11;
+          }
+          a[p * 2] += randRange(-jitter, jitter) + gx * coupling;
+          a[p * 2 + 1] += gravity + randRange(-jitter, jitter) + gy * coupling;
+        }
+
+        // Dropper ripples: an expanding ring that pushes flecks outward as it passes
+        const now = simNow();
+        ripples = ripples.filter(ri => now - ri.createdAt < SETTINGS.rippleLifeMs);
+        for (let ri of ripples) {
+          const age = now - ri.createdAt;
+          const radius = (SETTINGS.rippleSpeed * age) / 1000;
+          const strength = SETTINGS.rippleStrength * ri.strength * (1 - age / SETTINGS.rippleLifeMs);
+          const reach = radius + SETTINGS.rippleWidth;
+          particlesNear(ri.x - reach, ri.y - reach, ri.x + reach, ri.y + reach, p => {
+            if (pinned[p]) return;
+            const dx = pos[p * 2] - ri.x;
+            const dy = pos[p * 2 + 1] - ri.y;
+            const d = Math.sqrt(dx * dx + dy * dy) + 1e-6;
+            const offset = (d - radius) / SETTINGS.rippleWidth;
+            if (Math.abs(offset) >= 1) return;
+            // Obstacles shadow the ring; the bowl wall stops it, as no fleck is beyond it
+            if (obstacles.length && blocked(ri.x, ri.y, pos[p * 2], pos[p * 2 + 1])) return;
+            const a = strength * Math.cos((offset * Math.PI) / 2);
+            acc[p * 2] += (dx / d) * a;
+            acc[p * 2 + 1] += (dy / d) * a;
+          });
+        }
+      });
+
+      timed('integrate', () => {
+        const damping = SETTINGS.damping;
+        const dt2 = dtSec * dtSec;
+        for (let p = 0; p < count * 2; p++) {
+          if (!pinned[p >> 1]) {
+            const next = pos[p] + (pos[p] - prev[p]) * (1 - damping) + acc[p] * dt2;
+            prev[p] = pos[p];
+            pos[p] = next;
+          } else {
+            prev[p] = pos[p];
+          }
+          acc[p] = 0;
+        }
+      });
+
+      // Satisfy constraints multiple times for stability, with tearing
+      timed('constraints', () => {
+        const nowTs = simNow();
+        // Stop early once the springs are near their lengths; on still water one pass evens out the jitter
+        for (let k = 0; k < SETTINGS.constraintIterations; k++) {
+          if (relaxLinks(nowTs) < SETTINGS.relaxTolerance) break;
+        }
+        // Remove broken constraints, including any the tools snapped since the last step
+        if (linksBroken) compactLinks();
+        linksBroken = false;
+        if (SETTINGS.layout === 'free') touchFlecks(dtSec);
+        if (growingLinks.length) growLinks(dtSec);
+        if (SETTINGS.layout !== 'free' && SETTINGS.healRate > 0) healLinks(dtSec);
+      });
+
+      timed('collisions', collide);
+      if (islandsChanged) colorIslands();
+      if (drops.length && stepsSinceBuild % CLEARING_STEPS === 0) timed('clearing', measureClearing);
+
+      stepCount++;
+      stepsSinceBuild++;
+      inputSteps++;
+      profile.steps++;
+      if (replaying && inputSteps >= replaying.steps) replaying = null;
+    }
+
+    // Runs as many fixed steps as fit in `ms` plus what was left over last time
+    function advance(ms) {
+      accumulatedMs = Math.min(accumulatedMs + ms, MAX_FRAME_MS);
+      while (accumulatedMs >= FIXED_DT) {
+        const replayEnds = replaying !== null && inputSteps + 1 >= replaying.steps;
+        step(FIXED_DT);
+        accumulatedMs -= FIXED_DT;
+        // The frame a replay ends on shows the run just as the recording left it
+        if (replayEnds) {
+          accumulatedMs = 0;
+          break;
+        }
+      }
+    }
+
+    // A stronger press reaches further: the radii grow with the square root of `strength`, as the
+    // area of soap it puts down grows with the strength itself
+    function weakenLinksNear(x, y, aggressive, strength = 1) {
+      const now = simNow();
+      const reach = Math.sqrt(strength);
+      const outer = SETTINGS.clickTearRadius * reach;
+      const inner = Math.min(SETTINGS.clickInnerBreakRadius * reach, outer);
+      const weakThr = SETTINGS.breakThreshold * SETTINGS.weakenFactor;
+      linksNear(x, y, outer, l => {
+        if (linkBroken[l]) return;
+        const a = linkA[l] * 2;
+        const b = linkB[l] * 2;
+        const dx = (pos[a] + pos[b]) * 0.5 - x;
+        const dy = (pos[a + 1] + pos[b + 1]) * 0.5 - y;
+        const d = Math.hypot(dx, dy);
+        if (d <= outer) {
+          markWeak(l, weakThr, now + SETTINGS.weakenDurationMs);
+          if (aggressive && d <= inner) {
+            // If already slightly stretched, snap immediately
+            const dist = Math.hypot(pos[b] - pos[a], pos[b + 1] - pos[a + 1]) || 1e-6;
+            if (dist > linkRest[l] * 1.22) {
+              breakLink(l);
+            } else {
+              // Chance to break increases toward center
+              const t = 1 - d / inner;
+              if (rng() < 0.12 + 0.30 * t) breakLink(l);
+            }
+          }
+        }
+      });
+    }
+
+    // Pushes flecks out of the capsule swept by the toothpick tip from (x0, y0) to (x1, y1)
+    function pushWithToothpick(x0, y0, x1, y1) {
+      const radius = SETTINGS.toothpickRadius;
+      const sx = x1 - x0;
+      const sy = y1 - y0;
+      const len2 = sx * sx + sy * sy;
+      const left = Math.min(x0, x1) - radius;
+      const top = Math.min(y0, y1) - radius;
+      particlesNear(left, top, Math.max(x0, x1) + radius, Math.max(y0, y1) + radius, p => {
+        if (pinned[p]) return;
+        const px = pos[p * 2];
+        const py = pos[p * 2 + 1];
+        const t = len2 > 0 ? clamp(((px - x0) * sx + (py - y0) * sy) / len2, 0, 1) : 0;
+        const dx = px - (x0 + sx * t);
+        const dy = py - (y0 + sy * t);
+        const d = Math.hypot(dx, dy);
+        if (d >= radius) return;
+        // Straight through the middle: push sideways from the direction of travel
+        const nx = d > 1e-6 ? dx / d : -sy / (Math.sqrt(len2) || 1);
+        const ny = d > 1e-6 ? dy / d : sx / (Math.sqrt(len2) || 1);
+        pos[p * 2] += nx * (radius - d);
+        pos[p * 2 + 1] += ny * (radius - d);
+      });
+    }
+
+    // What each tool does where the pointer goes down, and as it is dragged from (fromX, fromY).
+    // `strength` is 1 for a plain click and grows with pen pressure and drag speed; `pointer` tells
+    // apart several pointers at once.
+    const TOOL_ACTIONS = {
+      soap: {
+        down(x, y, fromX, fromY, strength) {
+          addSoap(x, y, SETTINGS.soapPerDrop * strength);
+          weakenLinksNear(x, y, true, strength);
+          drops.push({ x, y, time: simNow() / 1000, area: 0, peakArea: 0 });
+          if (drops.length > SETTINGS.maxTrackedDrops) drops.shift();
+        },
+        drag(x, y, fromX, fromY, strength) {
+          addSoap(x, y, SETTINGS.soapPerDrop * SETTINGS.soapDragFraction * strength);
+          weakenLinksNear(x, y, false, strength);
+        },
+      },
+      sugar: {
+        down(x, y, fromX, fromY, strength) { addSugar(x, y, strength); },
+      },
+      toothpick: {
+        down(x, y) { pushWithToothpick(x, y, x, y); },
+        drag(x, y, fromX, fromY) { pushWithToothpick(fromX, fromY, x, y); },
+      },
+      dropper: {
+        down(x, y, fromX, fromY, strength) {
+          if (inWater(x, y)) ripples.push({ x, y, createdAt: simNow(), strength });
+        },
+      },
+      rinse: { down: rinse },
+      cork: {
+        down(x, y) {
+          if (!removeObstacleAt(x, y)) addObstacle('cork', x, y);
+        },
+      },
+      // Lays a spoon handle from where the pointer went down to where it is dragged
+      spoon: {
+        down(x, y, fromX, fromY, strength, pointer) {
+          if (removeObstacleAt(x, y)) placing.delete(pointer);
+          else placing.set(pointer, addObstacle('spoon', x, y));
+        },
+        drag(x, y, fromX, fromY, strength, pointer) {
+          const spoon = placing.get(pointer);
+          if (!spoon) return;
+          spoon.bx = x;
+          spoon.by = y;
+          updateOpenCells();
+        },
+      },
+    };
+
+    // A pointer let go ('up') is done dragging out whatever it was placing
+    function useTool(name, phase, x, y, fromX, fromY, strength = 1, pointer = 0) {
+      if (phase === 'up') placing.delete(pointer);
+      const action = TOOL_ACTIONS[name] && TOOL_ACTIONS[name][phase];
+      if (action) timed('tools', () => action(x, y, fromX, fromY, strength, pointer));
+    }
+
+    // A pinch: flecks near the fingers are carried along as the point between them moves from
+    // (fromX, fromY) to (x, y) and the gap between them is scaled by `scale`, so pinching in
+    // crowds the pepper and spreading the fingers pulls it apart. `radius` is half the gap
+    // before the move; the effect fades out to twice that.
+    function squeeze(x, y, fromX, fromY, radius, scale) {
+      const reach = 2 * radius;
+      const s = clamp(scale, 0.5, 2);
+      timed('tools', () => {
+        particlesNear(fromX - reach, fromY - reach, fromX + reach, fromY + reach, (p) => {
+          if (pinned[p]) return;
+          const dx = pos[p * 2] - fromX;
+          const dy = pos[p * 2 + 1] - fromY;
+          const d = Math.hypot(dx, dy);
+          if (d >= reach) return;
+          const t = d <= radius ? 1 : 1 - (d - radius) / radius;
+          const w = t * t * (3 - 2 * t);
+          pos[p * 2] += w * (x + dx * s - pos[p * 2]);
+          pos[p * 2 + 1] += w * (y + dy * s - pos[p * 2 + 1]);
+        });
+      });
+    }
+
+    // Starts an input log. The dish is laid out again first, so a replay can start from the same one.
+    function startRecording() {
+      replaying = null;
+      placing.clear();
+      accumulatedMs = 0;
+      recording = {
+        version: INPUT_LOG_VERSION,
+        width,
+        height,
+        settings: { ...SETTINGS },
+        obstacles: obstacles.map(o => ({ ...o })),
+        rng: rng.getState(),
+        steps: 0,
+        events: [],
+      };
+      buildGrid();
+      inputSteps = 0;
+    }
+
+    // The log so far, as plain JSON-able data: { version, width, height, settings, obstacles, rng,
+    // steps, events: [{ step, msg }] }
+    function stopRecording() {
+      const log = recording;
+      recording = null;
+      if (log) log.steps = inputSteps;
+      return log;
+    }
+
+    // Puts the engine back where the log started and plays its messages back at the same steps.
+    // Any input from outside ends the replay and carries on from there. Returns false for a log
+    // it cannot read.
+    function replay(log) {
+      if (!log || log.version !== INPUT_LOG_VERSION) return false;
+      recording = null;
+      Object.assign(SETTINGS, log.settings);
+      particleGrid.cellSize = SETTINGS.spatialCellSize;
+      linkGrid.cellSize = SETTINGS.spatialCellSize;
+      width = log.width;
+      height = log.height;
+      obstacles = log.obstacles.map(o => ({ ...o }));
+      placing.clear();
+      accumulatedMs = 0;
+      rng.setState(log.rng);
+      buildGrid();
+      replaying = log;
+      replayEvent = 0;
+      inputSteps = 0;
+      return true;
+    }
+
+    function replayInput() {
+      const { events } = replaying;
+      while (replayEvent < events.length && events[replayEvent].step <= inputSteps) {
+        apply(events[replayEvent++].msg);
+      }
+    }
+
+    // Everything a renderer needs, in fresh arrays that can be transferred to another thread.
+    // Links and island colours (an index per fleck) are only included when they changed since
+    // the last frame.
+    function frame() {
+      const positions = new Float32Array(count * 2);
+      positions.set(pos);
+      let links = null;
+      if (sentLinksVersion !== linksVersion) {
+        links = new Int32Array(linkCount * 2);
+        for (let l = 0; l < linkCount; l++) {
+          links[l * 2] = linkA[l];
+          links[l * 2 + 1] = linkB[l];
+        }
+        sentLinksVersion = linksVersion;
+      }
+      let islands = null;
+      if (sentIslandsVersion !== islandsVersion) {
+        islands = islandColor.slice();
+        sentIslandsVersion = islandsVersion;
+      }
+      const now = simNow();
+      const result = {
+        type: 'frame',
+        width,
+        height,
+        particleCount: count,
+        linkCount,
+        bowl: { ...bowl },
+        obstacles: obstacles.map(o => ({ ...o })),
+        positions,
+        links,
+        islands,
+        metrics: metrics(),
+        surface: { cols: surface.cols, rows: surface.rows, size: surface.size, tension: surface.tension.slice() },
+        meanTension: surface.meanTension,
+        ripples: ripples.map(ri => {
+          const age = now - ri.createdAt;
+          return { x: ri.x, y: ri.y, radius: (SETTINGS.rippleSpeed * age) / 1000, life: clamp(1 - age / SETTINGS.rippleLifeMs, 0, 1) };
+        }),
+        input: {
+          mode: recording ? 'recording' : replaying ? 'replaying' : 'live',
+          step: inputSteps,
+          steps: replaying ? replaying.steps : inputSteps,
+        },
+        profile: { steps: profile.steps, ms: { ...profile.ms } },
+      };
+      profile.steps = 0;
+      Object.keys(profile.ms).forEach(name => { profile.ms[name] = 0; });
+      return result;
+    }
+
+    // Messages that change the run; these are what input logs hold
+    function apply(msg) {
+      switch (msg.type) {
+        case 'resize': resize(msg.width, msg.height); break;
+        case 'reset': buildGrid(); break;
+        case 'configure': configure(msg.settings); break;
+        case 'tool': useTool(msg.tool, msg.phase, msg.x, msg.y, msg.fromX, msg.fromY, msg.strength, msg.pointer); break;
+        case 'squeeze': squeeze(msg.x, msg.y, msg.fromX, msg.fromY, msg.radius, msg.scale); break;
+        default: break;
+      }
+    }
+
+    // Messages from the page:
+    //   { type: 'resize', width, height }  rebuild the dish for a new canvas size
+    //   { type: 'reset' }                  rebuild the dish
+    //   { type: 'configure', settings }    change settings, see configure()
+    //   { type: 'tool', tool, phase: 'down' | 'drag' | 'up', x, y, fromX, fromY, strength, pointer }
+    //   { type: 'squeeze', x, y, fromX, fromY, radius, scale }  a two-finger pinch, see squeeze()
+    //   { type: 'advance', ms }            step the simulation; returns a frame()
+    //   { type: 'record' }                 start an input log, see startRecording()
+    //   { type: 'stopRecording' }          returns { type: 'inputLog', log }
+    //   { type: 'replay', log }            play an input log back, see replay()
+    function handle(msg) {
+      switch (msg.type) {
+        case 'advance':
+          advance(msg.ms);
+          return frame();
+        case 'record': startRecording(); break;
+        case 'stopRecording': return { type: 'inputLog', log: stopRecording() };
+        case 'replay': replay(msg.log); break;
+        case 'resize':
+        case 'reset':
+        case 'configure':
+        case 'tool':
+        case 'squeeze':
+          replaying = null;
+          if (recording) recording.events.push({ step: inputSteps, msg: JSON.parse(JSON.stringify(msg)) });
+          apply(msg);
+          break;
+        default: break;
+      }
+      return null;
+    }
+
+    buildGrid();
+
+    return {
+      settings: SETTINGS,
+      get particleCount() { return count; },
+      get linkCount() { return linkCount; },
+      get meanTension() { return surface.meanTension; },
+      get surface() { return surface; },
+      get replaying() { return replaying !== null; },
+      positions: () => pos,
+      resize,
+      configure,
+      reset: buildGrid,
+      step,
+      advance,
+      useTool,
+      squeeze,
+      startRecording,
+      stopRecording,
+      replay,
+      metrics,
+      frame,
+      handle,
+    };
+  }
+
+  return { createPepperEngine, DEFAULT_SETTINGS, LAYOUT_SETTINGS, FIXED_DT };
+});
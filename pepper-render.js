@@ -0,0 +1,497 @@
+/*
+  Pepper Scattering — renderers
+
+  Draws the frames pepper-engine.js produces: the soap/sugar tint, dropper ripples, links,
+  flecks coloured by island, obstacles and the bowl, all in canvas pixels. Frames passed to
+  render() must carry their links and islands even when the engine left them out as unchanged.
+  The WebGL2 renderer keeps the fleck positions in a float texture and draws every fleck and
+  every link as an instance of one small shape, so dense lattices cost a handful of draw calls.
+  Where WebGL2 is missing (or not wanted), the Canvas2D renderer draws the same frame. Defines
+  window.PepperRender.
+*/
+
+(() => {
+  const POSITION_TEXTURE_WIDTH = 1024;
+  const TABLE_COLOR = [238, 240, 243]; // around the bowl
+  const OBSTACLE_COLORS = {
+    cork: { fill: [200, 161, 101], edge: [139, 107, 61] },
+    spoon: { fill: [184, 190, 199], edge: [107, 114, 128] },
+  };
+  // Fleck colours by the island index the engine gives each fleck: plain for the largest island
+  // and loose flecks, then one per colour the engine cycles through for torn-off islands
+  const ISLAND_PALETTE = [
+    [17, 17, 17],
+    [220, 38, 38],
+    [37, 99, 235],
+    [22, 163, 74],
+    [217, 119, 6],
+    [147, 51, 234],
+    [8, 145, 178],
+    [219, 39, 119],
+    [101, 163, 13],
+  ];
+  const rgb = ([r, g, b]) => `rgb(${r},${g},${b})`;
+
+  // RGBA per field cell: blue where soap lowered the tension below clean water, amber where sugar
+  // raised it above
+  function tintPixels(surface, settings, out) {
+    const { tension } = surface;
+    const soapSpan = settings.tensionClean - settings.tensionSaturated;
+    for (let k = 0; k < tension.length; k++) {
+      const drop = settings.tensionClean - tension[k];
+      const sugared = drop < 0;
+      out[k * 4] = sugared ? 217 : 59;
+      out[k * 4 + 1] = sugared ? 119 : 130;
+      out[k * 4 + 2] = sugared ? 6 : 246;
+      out[k * 4 + 3] = Math.round(sugared ? (-90 * drop) / settings.sugarTensionRise : (60 * drop) / soapSpan);
+    }
+    return out;
+  }
+
+  function createCanvasRenderer(canvas, settings) {
+    const ctx = canvas.getContext('2d', { alpha: false });
+    if (!ctx) return null;
+    // One pixel per field cell, stretched over the canvas with smoothing
+    const surfaceCanvas = document.createElement('canvas');
+    const surfaceCtx = surfaceCanvas.getContext('2d');
+
+    function drawSurface(surface) {
+      const { cols, rows } = surface;
+      if (surfaceCanvas.width !== cols || surfaceCanvas.height !== rows) {
+        surfaceCanvas.width = cols;
+        surfaceCanvas.height = rows;
+      }
+      const image = surfaceCtx.createImageData(cols, rows);
+      tintPixels(surface, settings, image.data);
+      surfaceCtx.putImageData(image, 0, 0);
+      ctx.save();
+      ctx.imageSmoothingEnabled = true;
+      ctx.drawImage(surfaceCanvas, 0, 0, cols * surface.size, rows * surface.size);
+      ctx.restore();
+    }
+
+    // Capsules around each obstacle's segment, with a darker rim
+    function drawObstacles(obstacles) {
+      ctx.save();
+      ctx.lineCap = 'round';
+      for (let o of obstacles) {
+        const colors = OBSTACLE_COLORS[o.kind];
+        [[colors.edge, o.radius], [colors.fill, o.radius - 2]].forEach(([color, radius]) => {
+          ctx.beginPath();
+          if (o.ax === o.bx && o.ay === o.by) {
+            ctx.fillStyle = rgb(color);
+            ctx.arc(o.ax, o.ay, radius, 0, Math.PI * 2);
+            ctx.fill();
+          } else {
+            ctx.strokeStyle = rgb(color);
+            ctx.lineWidth = radius * 2;
+            ctx.moveTo(o.ax, o.ay);
+            ctx.lineTo(o.bx, o.by);
+            ctx.stroke();
+          }
+        });
+      }
+      ctx.restore();
+    }
+
+    // Covers everything outside the bowl, and rims it
+    function drawBowl(bowl) {
+      ctx.fillStyle = rgb(TABLE_COLOR);
+      ctx.beginPath();
+      ctx.rect(0, 0, canvas.width, canvas.height);
+      ctx.arc(bowl.x, bowl.y, bowl.radius, 0, Math.PI * 2);
+      ctx.fill('evenodd');
+      ctx.strokeStyle = 'rgba(0,0,0,0.18)';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(bowl.x, bowl.y, bowl.radius, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+
+    function render(frame, showLinks) {
+      const { positions, links, islands } = frame;
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      // Clear background
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+      // Tint the water where soap has lowered the surface tension or sugar raised it
+      drawSurface(frame.surface);
+
+      // Dropper ripples
+      ctx.save();
+      ctx.lineWidth = 2;
+      for (let ri of frame.ripples) {
+        ctx.strokeStyle = `rgba(59,130,246,${0.35 * ri.life})`;
+        ctx.beginPath();
+        ctx.arc(ri.x, ri.y, ri.radius, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+      ctx.restore();
+
+      // Draw links (springs)
+      if (showLinks) {
+        ctx.strokeStyle = 'rgba(0,0,0,0.15)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let l = 0; l < links.length; l += 2) {
+          const a = links[l] * 2;
+          const b = links[l + 1] * 2;
+          ctx.moveTo(positions[a], positions[a + 1]);
+          ctx.lineTo(positions[b], positions[b + 1]);
+        }
+        ctx.stroke();
+      }
+
+      // Draw pepper flecks, one path per island colour
+      const r = settings.pepperRadius;
+      const paths = ISLAND_PALETTE.map(() => new Path2D());
+      for (let p = 0; p < positions.length; p += 2) {
+        const path = paths[islands[p >> 1]];
+        path.moveTo(positions[p] + r, positions[p + 1]);
+        path.arc(positions[p], positions[p + 1], r, 0, Math.PI * 2);
+      }
+      paths.forEach((path, i) => {
+        ctx.fillStyle = rgb(ISLAND_PALETTE[i]);
+        ctx.fill(path);
+      });
+
+      drawObstacles(frame.obstacles);
+      drawBowl(frame.bowl);
+    }
+
+    return { kind: 'Canvas2D', canvas, render };
+  }
+
+  // Shared by every WebGL program: canvas px to clip space, y down
+  const CLIP = `
+    uniform vec2 uResolution;
+    vec4 toClip(vec2 p) { return vec4(p.x / uResolution.x * 2.0 - 1.0, 1.0 - p.y / uResolution.y * 2.0, 0.0, 1.0); }
+  `;
+  const POSITION_AT = `
+    uniform highp sampler2D uPositions;
+    vec2 positionAt(int i) { return texelFetch(uPositions, ivec2(i % ${POSITION_TEXTURE_WIDTH}, i / ${POSITION_TEXTURE_WIDTH}), 0).xy; }
+  `;
+
+  const SHADERS = {
+    // Field tint stretched over the canvas: one triangle that covers it
+    surface: {
+      vertex: `#version 300 es
+        uniform vec2 uResolution;
+        uniform vec2 uFieldSize;
+        out vec2 vUv;
+        void main() {
+          vec2 corner = vec2((gl_VertexID << 1) & 2, gl_VertexID & 2);
+          vUv = vec2(corner.x, 1.0 - corner.y) * uResolution / uFieldSize;
+          gl_Position = vec4(corner * 2.0 - 1.0, 0.0, 1.0);
+        }`,
+      fragment: `#version 300 es
+        precision highp float;
+        uniform sampler2D uTint;
+        in vec2 vUv;
+        out vec4 color;
+        void main() { color = texture(uTint, vUv); }`,
+    },
+    // One quad per ripple, shaded as a 2 px ring
+    ripple: {
+      vertex: `#version 300 es
+        ${CLIP}
+        uniform vec3 uRing;
+        out vec2 vOffset;
+        void main() {
+          vec2 corner = vec2(gl_VertexID & 1, gl_VertexID >> 1) * 2.0 - 1.0;
+          vOffset = corner * (uRing.z + 2.0);
+          gl_Position = toClip(uRing.xy + vOffset);
+        }`,
+      fragment: `#version 300 es
+        precision highp float;
+        uniform vec3 uRing;
+        uniform float uAlpha;
+        in vec2 vOffset;
+        out vec4 color;
+        void main() {
+          float a = clamp(1.5 - abs(length(vOffset) - uRing.z), 0.0, 1.0) * uAlpha;
+          if (a <= 0.0) discard;
+          color = vec4(59.0 / 255.0, 130.0 / 255.0, 246.0 / 255.0, a);
+        }`,
+    },
+    // One quad around each obstacle, shaded as a capsule with a darker rim
+    obstacle: {
+      vertex: `#version 300 es
+        ${CLIP}
+        uniform vec2 uA;
+        uniform vec2 uB;
+        uniform float uRadius;
+        out vec2 vPosition;
+        void main() {
+          vec2 corner = vec2(gl_VertexID & 1, gl_VertexID >> 1);
+          vPosition = mix(min(uA, uB) - uRadius - 1.0, max(uA, uB) + uRadius + 1.0, corner);
+          gl_Position = toClip(vPosition);
+        }`,
+      fragment: `#version 300 es
+        precision highp float;
+        uniform vec2 uA;
+        uniform vec2 uB;
+        uniform float uRadius;
+        uniform vec3 uFill;
+        uniform vec3 uEdge;
+        in vec2 vPosition;
+        out vec4 color;
+        void main() {
+          vec2 ab = uB - uA;
+          float len2 = dot(ab, ab);
+          float t = len2 > 0.0 ? clamp(dot(vPosition - uA, ab) / len2, 0.0, 1.0) : 0.0;
+          float d = length(vPosition - uA - ab * t);
+          float a = clamp(uRadius + 0.5 - d, 0.0, 1.0);
+          if (a <= 0.0) discard;
+          color = vec4(mix(uFill, uEdge, clamp(d - uRadius + 2.0, 0.0, 1.0)), a);
+        }`,
+    },
+    // Everything outside the bowl, and its rim: one triangle that covers the canvas
+    bowl: {
+      vertex: `#version 300 es
+        void main() {
+          vec2 corner = vec2((gl_VertexID << 1) & 2, gl_VertexID & 2);
+          gl_Position = vec4(corner * 2.0 - 1.0, 0.0, 1.0);
+        }`,
+      fragment: `#version 300 es
+        precision highp float;
+        uniform vec2 uResolution;
+        uniform vec3 uBowl;
+        uniform vec3 uTable;
+        out vec4 color;
+        void main() {
+          vec2 p = vec2(gl_FragCoord.x, uResolution.y - gl_FragCoord.y);
+          float d = length(p - uBowl.xy) - uBowl.z; // > 0 outside
+          float outside = clamp(d + 0.5, 0.0, 1.0);
+          float rim = clamp(1.5 - abs(d), 0.0, 1.0) * 0.18;
+          float a = max(outside, rim);
+          if (a <= 0.0) discard;
+          color = vec4(outside > 0.0 ? mix(uTable, vec3(0.0), rim) : vec3(0.0), a);
+        }`,
+    },
+    // Instanced lines: each instance is a link, its two ends fetched from the position texture
+    link: {
+      vertex: `#version 300 es
+        ${CLIP}
+        ${POSITION_AT}
+        layout(location = 0) in ivec2 aLink;
+        void main() { gl_Position = toClip(positionAt(gl_VertexID == 0 ? aLink.x : aLink.y)); }`,
+      fragment: `#version 300 es
+        precision highp float;
+        out vec4 color;
+        void main() { color = vec4(0.0, 0.0, 0.0, 0.15); }`,
+    },
+    // Instanced quads: each instance is a fleck, shaded as an antialiased disc in its island's colour
+    fleck: {
+      vertex: `#version 300 es
+        ${CLIP}
+        ${POSITION_AT}
+        uniform float uRadius;
+        uniform vec3 uPalette[${ISLAND_PALETTE.length}];
+        layout(location = 0) in float aIsland;
+        out vec2 vOffset;
+        out vec3 vColor;
+        void main() {
+          vec2 corner = vec2(gl_VertexID & 1, gl_VertexID >> 1) * 2.0 - 1.0;
+          vOffset = corner * (uRadius + 1.0);
+          vColor = uPalette[int(aIsland)];
+          gl_Position = toClip(positionAt(gl_InstanceID) + vOffset);
+        }`,
+      fragment: `#version 300 es
+        precision highp float;
+        uniform float uRadius;
+        in vec2 vOffset;
+        in vec3 vColor;
+        out vec4 color;
+        void main() {
+          float a = clamp(uRadius + 0.5 - length(vOffset), 0.0, 1.0);
+          if (a <= 0.0) discard;
+          color = vec4(vColor, a);
+        }`,
+    },
+  };
+
+  function compileProgram(gl, { vertex, fragment }) {
+    const program = gl.createProgram();
+    [[gl.VERTEX_SHADER, vertex], [gl.FRAGMENT_SHADER, fragment]].forEach(([type, source]) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) throw new Error(gl.getShaderInfoLog(shader));
+      gl.attachShader(program, shader);
+    });
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) throw new Error(gl.getProgramInfoLog(program));
+    const uniforms = {};
+    for (let i = 0; i < gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS); i++) {
+      const { name } = gl.getActiveUniform(program, i);
+      uniforms[name] = gl.getUniformLocation(program, name);
+    }
+    return { program, uniforms };
+  }
+
+  function createWebGLRenderer(canvas, settings) {
+    const gl = canvas.getContext('webgl2', { alpha: false, antialias: false });
+    if (!gl) return null;
+    const programs = {};
+    Object.entries(SHADERS).forEach(([name, source]) => { programs[name] = compileProgram(gl, source); });
+
+    const emptyVao = gl.createVertexArray();
+    const linkVao = gl.createVertexArray();
+    const linkBuffer = gl.createBuffer();
+    gl.bindVertexArray(linkVao);
+    gl.bindBuffer(gl.ARRAY_BUFFER, linkBuffer);
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribIPointer(0, 2, gl.INT, 0, 0);
+    gl.vertexAttribDivisor(0, 1);
+    const fleckVao = gl.createVertexArray();
+    const islandBuffer = gl.createBuffer();
+    gl.bindVertexArray(fleckVao);
+    gl.bindBuffer(gl.ARRAY_BUFFER, islandBuffer);
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, 1, gl.UNSIGNED_BYTE, false, 0, 0);
+    gl.vertexAttribDivisor(0, 1);
+    gl.bindVertexArray(null);
+    let uploadedLinks = null;
+    let uploadedIslands = null;
+    const palette = new Float32Array(ISLAND_PALETTE.flat().map(c => c / 255));
+
+    function createTexture(filter) {
+      const texture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      return texture;
+    }
+    const positionTexture = createTexture(gl.NEAREST); // float textures can't be filtered
+    const tintTexture = createTexture(gl.LINEAR);
+    let positionRows = 0;
+    let positionData = new Float32Array(0); // padded to whole texture rows
+    let tintData = new Uint8Array(0);
+
+    function uploadPositions(positions) {
+      const rows = Math.max(1, Math.ceil(positions.length / 2 / POSITION_TEXTURE_WIDTH));
+      if (rows !== positionRows) {
+        positionRows = rows;
+        positionData = new Float32Array(rows * POSITION_TEXTURE_WIDTH * 2);
+      }
+      positionData.set(positions);
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, positionTexture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RG32F, POSITION_TEXTURE_WIDTH, rows, 0, gl.RG, gl.FLOAT, positionData);
+    }
+
+    function uploadTint(surface) {
+      const { cols, rows } = surface;
+      if (tintData.length !== cols * rows * 4) tintData = new Uint8Array(cols * rows * 4);
+      tintPixels(surface, settings, tintData);
+      gl.activeTexture(gl.TEXTURE1);
+      gl.bindTexture(gl.TEXTURE_2D, tintTexture);
+      gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, cols, rows, 0, gl.RGBA, gl.UNSIGNED_BYTE, tintData);
+    }
+
+    function use(name) {
+      const { program, uniforms } = programs[name];
+      gl.useProgram(program);
+      if (uniforms.uResolution) gl.uniform2f(uniforms.uResolution, canvas.width, canvas.height);
+      if (uniforms.uPositions) gl.uniform1i(uniforms.uPositions, 0);
+      return uniforms;
+    }
+
+    function render(frame, showLinks) {
+      const { links, islands } = frame;
+      gl.viewport(0, 0, canvas.width, canvas.height);
+      gl.clearColor(1, 1, 1, 1);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      gl.enable(gl.BLEND);
+      gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+      uploadPositions(frame.positions);
+      uploadTint(frame.surface);
+      gl.bindVertexArray(emptyVao);
+
+      // Tint the water where soap has lowered the surface tension or sugar raised it
+      let u = use('surface');
+      gl.uniform1i(u.uTint, 1);
+      gl.uniform2f(u.uFieldSize, frame.surface.cols * frame.surface.size, frame.surface.rows * frame.surface.size);
+      gl.drawArrays(gl.TRIANGLES, 0, 3);
+
+      // Dropper ripples
+      u = use('ripple');
+      for (let ri of frame.ripples) {
+        gl.uniform3f(u.uRing, ri.x, ri.y, ri.radius);
+        gl.uniform1f(u.uAlpha, 0.35 * ri.life);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+      }
+
+      // Links (springs)
+      if (showLinks && links.length) {
+        gl.bindVertexArray(linkVao);
+        if (uploadedLinks !== links) {
+          gl.bindBuffer(gl.ARRAY_BUFFER, linkBuffer);
+          gl.bufferData(gl.ARRAY_BUFFER, links, gl.DYNAMIC_DRAW);
+          uploadedLinks = links;
+        }
+        use('link');
+        gl.drawArraysInstanced(gl.LINES, 0, 2, links.length / 2);
+        gl.bindVertexArray(emptyVao);
+      }
+
+      // Pepper flecks
+      gl.bindVertexArray(fleckVao);
+      if (uploadedIslands !== islands) {
+        gl.bindBuffer(gl.ARRAY_BUFFER, islandBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, islands, gl.DYNAMIC_DRAW);
+        uploadedIslands = islands;
+      }
+      u = use('fleck');
+      gl.uniform1f(u.uRadius, settings.pepperRadius);
+      gl.uniform3fv(u['uPalette[0]'], palette);
+      gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, frame.positions.length / 2);
+      gl.bindVertexArray(emptyVao);
+
+      // Obstacles
+      u = use('obstacle');
+      for (let o of frame.obstacles) {
+        const colors = OBSTACLE_COLORS[o.kind];
+        gl.uniform2f(u.uA, o.ax, o.ay);
+        gl.uniform2f(u.uB, o.bx, o.by);
+        gl.uniform1f(u.uRadius, o.radius);
+        gl.uniform3f(u.uFill, ...colors.fill.map(c => c / 255));
+        gl.uniform3f(u.uEdge, ...colors.edge.map(c => c / 255));
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+      }
+
+      // The table around the bowl
+      u = use('bowl');
+      gl.uniform3f(u.uBowl, frame.bowl.x, frame.bowl.y, frame.bowl.radius);
+      gl.uniform3f(u.uTable, ...TABLE_COLOR.map(c => c / 255));
+      gl.drawArrays(gl.TRIANGLES, 0, 3);
+      gl.bindVertexArray(null);
+    }
+
+    return { kind: 'WebGL', canvas, render };
+  }
+
+  // WebGL2 unless `preferred` is 'canvas' or it can't be had. A canvas that has handed out a
+  // WebGL context can't give a 2D one, so a failed WebGL set-up swaps in a fresh canvas.
+  function createRenderer(canvas, settings, preferred = 'auto') {
+    if (preferred !== 'canvas') {
+      try {
+        const renderer = createWebGLRenderer(canvas, settings);
+        if (renderer) return renderer;
+      } catch (err) {
+        console.warn('WebGL renderer unavailable, drawing with Canvas2D instead:', err);
+        const fresh = canvas.cloneNode(false);
+        canvas.replaceWith(fresh);
+        return createCanvasRenderer(fresh, settings);
+      }
+    }
+    return createCanvasRenderer(canvas, settings);
+  }
+
+  window.PepperRender = { createRenderer };
+})();
@@ -0,0 +1,293 @@
+/*
+  Pepper Scattering — settings panel
+
+  Sliders for the engine settings, grouped as in pepper-engine.js, with a few named presets.
+  Settings that differ from the defaults are kept in localStorage and in the page URL, so a
+  reload keeps them and a copied link shares them; the URL wins over what was stored. Changing a
+  slider calls back with just that setting; the page passes it on to the engine, which lays the
+  pepper out again when it is one of the layout settings. Defines window.PepperSettings.
+*/
+
+(() => {
+  const { LAYOUT_SETTINGS } = window.PepperEngine;
+  const STORAGE_KEY = 'pepper-settings';
+  const LAYOUTS = ['lattice', 'mesh', 'free'];
+
+  // [min, max, step] per setting
+  const GROUPS = [
+    {
+      title: 'Dish (lays the pepper out again)',
+      fields: {
+        gridCols: [8, 200, 1],
+        gridRows: [8, 200, 1],
+        scatterCount: [100, 8000, 50],
+        meshStiffness: [0, 1, 0.01],
+        structuralStiffness: [0, 1, 0.01],
+        shearStiffness: [0, 1, 0.01],
+        pepperRadius: [0.5, 5, 0.1],
+        borderPadding: [0, 100, 1],
+        soapCellSize: [4, 40, 1],
+        spatialCellSize: [8, 128, 1],
+      },
+    },
+    {
+      title: 'Motion',
+      fields: {
+        constraintIterations: [1, 10, 1],
+        relaxTolerance: [0, 0.2, 0.005],
+        damping: [0, 0.1, 0.0005],
+        jitterAcceleration: [0, 20, 0.1],
+        gravityY: [-200, 200, 1],
+        cohesionRange: [1, 4, 0.05],
+        cohesionStrength: [0, 200, 1],
+        repulsionStiffness: [0, 1, 0.01],
+        wallFriction: [0, 1, 0.01],
+      },
+    },
+    {
+      title: 'Soap and surface tension',
+      fields: {
+        soapPerDrop: [0.01, 1, 0.01],
+        soapDragFraction: [0, 0.2, 0.005],
+        soapDropRadius: [5, 100, 1],
+        soapDiffusion: [0, 5000, 10],
+        soapSubsteps: [1, 10, 1],
+        marangoniMobility: [0, 500, 1],
+        fleckCoupling: [0, 10000, 50],
+        tensionClean: [30, 80, 0.5],
+        tensionSaturated: [10, 72, 0.5],
+        tensionSlope: [1, 40, 0.5],
+        tensionHalfCoverage: [0.001, 0.2, 0.001],
+      },
+    },
+    {
+      title: 'Other tools',
+      fields: {
+        sugarPerLump: [0, 600, 5],
+        sugarRadius: [5, 100, 1],
+        sugarDiffusion: [0, 5000, 10],
+        sugarHalfLifeMs: [250, 30000, 250],
+        sugarTensionRise: [0, 60, 0.5],
+        sugarHalfEffect: [0.05, 5, 0.05],
+        toothpickRadius: [2, 50, 1],
+        rippleSpeed: [20, 1000, 5],
+        rippleWidth: [4, 100, 1],
+        rippleStrength: [0, 6000, 50],
+        rippleLifeMs: [200, 5000, 50],
+        corkRadius: [8, 120, 1],
+        spoonRadius: [2, 40, 0.5],
+      },
+    },
+    {
+      title: 'Tearing and healing',
+      fields: {
+        breakThreshold: [1.05, 4, 0.01],
+        minWeakThreshold: [1, 2, 0.01],
+        clickTearRadius: [0, 200, 1],
+        clickInnerBreakRadius: [0, 100, 1],
+        weakenFactor: [0.3, 1, 0.01],
+        weakenDurationMs: [0, 3000, 10],
+        tearImpulse: [0, 100, 1],
+        maxBreaksPerStep: [1, 2000, 1],
+        healRate: [0, 2, 0.05],
+        healRange: [1, 3, 0.05],
+        healGrowMs: [250, 5000, 50],
+        healCooldownMs: [0, 10000, 100],
+      },
+    },
+    {
+      title: 'Measuring',
+      fields: {
+        clearedGap: [0.5, 5, 0.1],
+        maxTrackedDrops: [1, 50, 1],
+      },
+    },
+  ];
+
+  // Changes from the defaults; every other setting goes back to its default with a preset
+  const PRESETS = {
+    gentle: {
+      label: 'Gentle',
+      settings: {
+        soapPerDrop: 0.15,
+        marangoniMobility: 80,
+        fleckCoupling: 1500,
+        breakThreshold: 2.4,
+        minWeakThreshold: 1.4,
+        weakenFactor: 0.95,
+        clickTearRadius: 30,
+        clickInnerBreakRadius: 10,
+        tearImpulse: 12,
+        healRate: 1,
+      },
+    },
+    shreddable: {
+      label: 'Shreddable',
+      settings: {
+        fleckCoupling: 3200,
+        breakThreshold: 1.35,
+        minWeakThreshold: 1.05,
+        weakenFactor: 0.7,
+        weakenDurationMs: 900,
+        clickTearRadius: 90,
+        clickInnerBreakRadius: 40,
+        tearImpulse: 48,
+        healRate: 0,
+      },
+    },
+    thickOil: {
+      label: 'Thick oil',
+      settings: {
+        damping: 0.03,
+        jitterAcceleration: 0.5,
+        wallFriction: 0.8,
+        soapDiffusion: 250,
+        sugarDiffusion: 300,
+        marangoniMobility: 40,
+        fleckCoupling: 900,
+        rippleSpeed: 120,
+        rippleStrength: 500,
+      },
+    },
+  };
+
+  const RANGES = Object.assign({}, ...GROUPS.map(group => group.fields));
+
+  function clamp(v, min, max) { return Math.max(min, Math.min(max, v)); }
+
+  // A setting from storage or the URL, or undefined if it is unknown or makes no sense
+  function parseSetting(key, text) {
+    if (key === 'layout') return LAYOUTS.includes(text) ? text : undefined;
+    const range = RANGES[key];
+    const v = parseFloat(text);
+    return range && Number.isFinite(v) ? clamp(v, range[0], range[1]) : undefined;
+  }
+
+  function readStored() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (err) {
+      return {};
+    }
+  }
+
+  // Saved changes from the defaults, those in the URL over those in localStorage
+  function loadSettings() {
+    const changes = {};
+    const stored = readStored();
+    Object.keys(stored).forEach((key) => {
+      const v = parseSetting(key, String(stored[key]));
+      if (v !== undefined) changes[key] = v;
+    });
+    new URLSearchParams(location.search).forEach((text, key) => {
+      const v = parseSetting(key, text);
+      if (v !== undefined) changes[key] = v;
+    });
+    return changes;
+  }
+
+  function saveSettings(settings, defaults) {
+    const changes = {};
+    ['layout', ...Object.keys(RANGES)].forEach((key) => {
+      if (settings[key] !== defaults[key]) changes[key] = settings[key];
+    });
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(changes));
+    } catch (err) {
+      // private browsing: the URL still has them
+    }
+    const params = new URLSearchParams(location.search);
+    ['layout', ...Object.keys(RANGES)].forEach(key => params.delete(key));
+    Object.keys(changes).forEach(key => params.set(key, String(changes[key])));
+    const query = params.toString();
+    history.replaceState(null, '', `${location.pathname}${query ? `?${query}` : ''}${location.hash}`);
+  }
+
+  // Every setting but the layout, from the defaults and the preset's changes
+  function presetSettings(name, defaults) {
+    const preset = PRESETS[name] ? PRESETS[name].settings : {};
+    const settings = {};
+    Object.keys(RANGES).forEach((key) => { settings[key] = key in preset ? preset[key] : defaults[key]; });
+    return settings;
+  }
+
+  function labelFor(key) {
+    return key.replace(/([A-Z])/g, ' $1').toLowerCase().replace(/ ms$/, ' (ms)');
+  }
+
+  function digitsFor(step) {
+    return step < 1 ? Math.ceil(-Math.log10(step) - 1e-9) : 0;
+  }
+
+  // Builds the panel into `container`. onChange(changes) is called with the settings the user
+  // changed; update() brings the sliders back in line after the settings changed elsewhere.
+  function createSettingsPanel(container, settings, defaults, onChange) {
+    const inputs = {};
+
+    const head = document.createElement('div');
+    head.className = 'row';
+    const presetSelect = document.createElement('select');
+    presetSelect.title = 'Start over from a set of settings';
+    presetSelect.append(new Option('Preset…', ''), new Option('Defaults', 'defaults'));
+    Object.keys(PRESETS).forEach(name => presetSelect.append(new Option(PRESETS[name].label, name)));
+    presetSelect.addEventListener('change', () => {
+      if (!presetSelect.value) return;
+      onChange(presetSettings(presetSelect.value, defaults));
+      presetSelect.value = '';
+      update();
+    });
+    const copyButton = document.createElement('button');
+    copyButton.type = 'button';
+    copyButton.textContent = 'Copy link';
+    copyButton.title = 'Copy a link to the page with these settings';
+    copyButton.addEventListener('click', () => {
+      if (navigator.clipboard) navigator.clipboard.writeText(location.href).catch(() => {});
+    });
+    head.append(presetSelect, copyButton);
+    container.append(head);
+
+    GROUPS.forEach((group) => {
+      const fieldset = document.createElement('fieldset');
+      const legend = document.createElement('legend');
+      legend.textContent = group.title;
+      fieldset.append(legend);
+      Object.keys(group.fields).forEach((key) => {
+        const [min, max, step] = group.fields[key];
+        const label = document.createElement('label');
+        label.title = key;
+        const name = document.createElement('span');
+        name.textContent = labelFor(key);
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = String(min);
+        input.max = String(max);
+        input.step = String(step);
+        const output = document.createElement('output');
+        const show = () => { output.textContent = Number(input.value).toFixed(digitsFor(step)); };
+        // Layout settings only apply once the slider is let go, as each one lays the dish out again
+        const layoutSetting = LAYOUT_SETTINGS.includes(key);
+        input.addEventListener('input', () => {
+          show();
+          if (!layoutSetting) onChange({ [key]: parseFloat(input.value) });
+        });
+        if (layoutSetting) input.addEventListener('change', () => { onChange({ [key]: parseFloat(input.value) }); });
+        inputs[key] = { input, show };
+        label.append(name, input, output);
+        fieldset.append(label);
+      });
+      container.append(fieldset);
+    });
+
+    function update() {
+      Object.keys(inputs).forEach((key) => {
+        inputs[key].input.value = String(settings[key]);
+        inputs[key].show();
+      });
+    }
+
+    update();
+    return { update };
+  }
+
+  window.PepperSettings = { GROUPS, PRESETS, loadSettings, saveSettings, presetSettings, createSettingsPanel };
+})();
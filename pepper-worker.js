@@ -0,0 +1,29 @@
+/*
+  Pepper Scattering — simulation worker
+
+  Runs pepper-engine.js off the main thread. The first message is
+  { type: 'init', settings, width, height }; every later one goes to engine.handle(), and what it
+  returns is posted back, frames with their arrays transferred.
+*/
+
+importScripts('./pepper-engine.js');
+
+let engine = null;
+
+self.addEventListener('message', (e) => {
+  const msg = e.data;
+  if (msg.type === 'init') {
+    engine = self.PepperEngine.createPepperEngine(msg.settings, msg.width, msg.height);
+    return;
+  }
+  const result = engine.handle(msg);
+  if (!result) return;
+  if (result.type !== 'frame') {
+    self.postMessage(result);
+    return;
+  }
+  const transfer = [result.positions.buffer, result.surface.tension.buffer];
+  if (result.links) transfer.push(result.links.buffer);
+  if (result.islands) transfer.push(result.islands.buffer);
+  self.postMessage(result, transfer);
+});
@@ -1,456 +1,542 @@
 /*
   Pepper Scattering — Soft‑Body Canvas Simulation
 
-  A soft lattice of particles (pepper flecks) connected by distance constraints evolves with
-  Verlet integration. Pointer input drops a short‑lived “soap pulse” that reduces local
-  surface tension by pushing flecks radially outward, mimicking the Marangoni effect.
+  The page side of the demo. The physics lives in pepper-engine.js and runs in a Web Worker
+  (pepper-worker.js); this script sizes the canvas, forwards tool input as messages, asks for a
+  new frame each animation frame and hands it to pepper-render.js, which draws with WebGL and
+  falls back to Canvas2D. Where a worker cannot be started (older browsers, or the page opened
+  from file://) the same engine runs here on the main thread instead.
+
+  The HUD picks the layout: a lattice trimmed to the bowl, flecks scattered by Poisson-disk
+  sampling and joined by a Delaunay mesh, or loose flecks with no springs that only cling to and
+  push off their neighbours. Its settings panel (pepper-settings.js, where the page loads it)
+  changes any engine setting while the simulation runs.
+
+  Tools (HUD palette or keys 1–7): soap, sugar (raises the tension locally while it dissolves, so
+  flecks are drawn in), toothpick (pushes flecks aside as it is dragged), water dropper (a ripple
+  with no surfactant), rinse (a clean surface, flecks stay where they are), and a cork or a spoon
+  handle (dragged out) for the flecks to flow around; click one again to take it out. Every
+  finger or pen uses the tool on its own, pressing harder or dragging faster makes it act harder,
+  and pinching with two fingers squeezes the surface between them.
+
+  Record captures the canvas to WebM as it plays; PNG frames pauses the page and steps the engine
+  one frame at a time to render a clip with no dropped frames. Either can print the time and
+  stats over the picture.
+
+  Record input lays the pepper out again and logs every click, drag and setting change by the
+  simulation step it came before; Replay input plays such a log back step for step (see the input
+  logs in pepper-engine.js). Clicking the dish during a replay takes over from there.
 */
 
 (() => {
-  // Canvas setup
-  const canvas = document.getElementById('scene');
-  const ctx = canvas.getContext('2d', { alpha: false });
+  const { createPepperEngine, DEFAULT_SETTINGS, FIXED_DT } = window.PepperEngine;
 
   // UI elements
   const resetBtn = document.getElementById('resetBtn');
   const toggleLinksBtn = document.getElementById('toggleLinksBtn');
+  const layoutSelect = document.getElementById('layoutSelect');
   const statsLabel = document.getElementById('stats');
-
-  // Simulation parameters
-  const SETTINGS = {
-    gridCols: 52,
-    gridRows: 34,
-    constraintIterations: 3,
-    structuralStiffness: 0.35, // distance constraint strength [0..1]
-    shearStiffness: 0.25,      // diagonals for stability
-    damping: 0.0035,           // global velocity damping per step
-    jitterAcceleration: 3.0,   // small random accel to keep motion alive
-    gravityY: 0.0,             // near zero; pepper floats on surface
-    pulseStrength: 3000,       // impulse magnitude for soap pulse
-    pulseSigma: 90,            // Gaussian falloff radius in px
-    pulseHalfLifeMs: 650,      // exponential decay half‑life
-    borderPadding: 24,         // keep particles away from exact edges
-    pepperRadius: 1.9,         // draw size of each fleck
-    // Tearing settings
-    breakThreshold: 1.8,       // break when distance > rest * threshold
-    minWeakThreshold: 1.18,    // never weaken below this threshold
-    clickTearRadius: 60,       // weaken springs within this radius of click
-    clickInnerBreakRadius: 24, // aggressively tear very close to click
-    weakenFactor: 0.85,        // local threshold multiplier during weakening
-    weakenDurationMs: 450,     // how long weakening lasts
-    tearImpulse: 36,            // separation displacement applied when a spring snaps
-    maxBreaksPerStep: 200,     // safety cap per frame
-  };
+  const islandsLabel = document.getElementById('islandStats');
+  const recordBtn = document.getElementById('recordBtn');
+  const framesBtn = document.getElementById('framesBtn');
+  const framesSecondsInput = document.getElementById('framesSeconds');
+  const hudOverlayInput = document.getElementById('hudOverlay');
+  const settingsPanel = document.getElementById('settingsPanel');
+  const recordInputBtn = document.getElementById('recordInputBtn');
+  const replayInputBtn = document.getElementById('replayInputBtn');
+  const replayFileInput = document.getElementById('replayFile');
+  const toolButtons = document.querySelectorAll('[data-tool]');
+
+  // A page can override any engine setting before loading this script (see pepper-benchmark.html),
+  // plus `renderer: 'canvas'` to skip WebGL and `worker: false` to keep the physics on this thread.
+  // With the settings panel, settings saved from it or given in the URL come in under those.
+  const options = window.__PEPPER_SETTINGS__ || {};
+  const saved = window.PepperSettings ? window.PepperSettings.loadSettings() : {};
+  const SETTINGS = { ...DEFAULT_SETTINGS, seed: (Math.random() * 2 ** 32) >>> 0, ...saved, ...options };
+  const RECORD_FPS = 30;
+  const DRAG_SPEED_REFERENCE = 0.5; // canvas px/ms of a drag that acts as hard as a click
+  const PINCH_WAIT_MS = 120; // a touch waits this long for a second finger before using the tool
+  const PINCH_SLOP = 10; // canvas px a waiting touch may move before it uses the tool anyway
+
+  // Canvas setup; the renderer may swap in a fresh canvas if WebGL fails half way
+  const renderer = window.PepperRender.createRenderer(document.getElementById('scene'), SETTINGS, options.renderer);
+  const canvas = renderer.canvas;
 
   // State
-  let particles = [];
-  let constraints = [];
-  let pulses = [];
   let showLinks = true;
+  let frame = null;          // latest frame from the engine
+  let drawnFrame = null;
+  let links = new Int32Array(0);
+  let islands = new Uint8Array(0);
+  let waitingForFrame = false;
+  let pendingMs = 0;
   let lastTimestamp = 0;
-  let accumulatedMs = 0;
-  const fixedDt = 1000 / 60; // ms per step
-
-  // Utility helpers
-  const clamp = (v, lo, hi) => (v < lo ? lo : v > hi ? hi : v);
-  const randRange = (lo, hi) => lo + Math.random() * (hi - lo);
-
-  class Particle {
-    constructor(x, y, pinned = false) {
-      this.positionX = x;
-      this.positionY = y;
-      this.previousX = x + randRange(-0.25, 0.25);
-      this.previousY = y + randRange(-0.25, 0.25);
-      this.accelX = 0;
-      this.accelY = 0;
-      this.pinned = pinned;
-    }
-
-    addForce(ax, ay) {
-      this.accelX += ax;
-      this.accelY += ay;
-    }
-
-    verletStep(dtSeconds, damping) {
-      if (this.pinned) {
-        this.previousX = this.positionX;
-        this.previousY = this.positionY;
-        this.accelX = 0;
-        this.accelY = 0;
-        return;
-      }
-      const nextX = this.positionX + (this.positionX - this.previousX) * (1 - damping) + this.accelX * dtSeconds * dtSeconds;
-      const nextY = this.positionY + (this.positionY - this.previousY) * (1 - damping) + this.accelY * dtSeconds * dtSeconds;
-      this.previousX = this.positionX;
-      this.previousY = this.positionY;
-      this.positionX = nextX;
-      this.positionY = nextY;
-      this.accelX = 0;
-      this.accelY = 0;
-    }
+  let exporting = false;     // stepping frame by frame for a PNG export
+  const pointers = new Map(); // pointerId → { x, y, t, type, waiting, pinched } of each pointer that is down
+  let pinch = null;          // { a, b, x, y, gap }: two touches squeezing the surface
+  let frameWaiters = [];     // resolved by the next frame from the engine, while exporting
+
+  // Milliseconds spent per subsystem since the last read, for the benchmark page. The physics
+  // sections are measured by the engine and arrive with each frame; render is measured here.
+  const profile = {
+    steps: 0,
+    frames: 0,
+    renderer: renderer.kind,
+    host: '',
+    ms: { surface: 0, forces: 0, integrate: 0, constraints: 0, collisions: 0, grids: 0, tools: 0, clearing: 0, render: 0 },
+  };
+  window.__PEPPER_PROFILE__ = profile;
+
+  // Tearing metrics for graphs: the latest from the engine, and a sample every tenth of a
+  // simulated second since the dish was last laid out. Each sample is also sent as a
+  // 'pepper-metrics' event on window.
+  const METRICS_INTERVAL = 0.1; // s
+  const METRICS_HISTORY = 6000; // samples kept
+  const metrics = { latest: null, history: [] };
+  window.__PEPPER_METRICS__ = metrics;
+
+  function recordMetrics(m) {
+    const last = metrics.history[metrics.history.length - 1];
+    metrics.latest = m;
+    if (last && m.time < last.time) metrics.history = []; // the dish was rebuilt
+    else if (last && m.time - last.time < METRICS_INTERVAL) return;
+    const lastDrop = m.drops[m.drops.length - 1];
+    const sample = {
+      time: m.time,
+      islands: m.islands,
+      largestIsland: m.largestIsland,
+      looseFlecks: m.looseFlecks,
+      clearedArea: lastDrop ? lastDrop.area : 0,
+      clearedFraction: lastDrop ? lastDrop.area / m.bowlArea : 0,
+    };
+    metrics.history.push(sample);
+    if (metrics.history.length > METRICS_HISTORY) metrics.history.shift();
+    window.dispatchEvent(new CustomEvent('pepper-metrics', { detail: sample }));
   }
 
-  class DistanceConstraint {
-    constructor(particleA, particleB, restLength, stiffness) {
-      this.a = particleA;
-      this.b = particleB;
-      this.rest = restLength;
-      this.stiffness = stiffness;
-      this.breakThresholdBase = SETTINGS.breakThreshold;
-      this.weakUntilTs = 0;
-      this.weakThreshold = null;
-      this.broken = false;
-    }
-
-    getCurrentBreakThreshold(nowTs) {
-      if (nowTs <= this.weakUntilTs && this.weakThreshold != null) return this.weakThreshold;
-      return this.breakThresholdBase;
-    }
+  function clamp(v, min, max) { return Math.max(min, Math.min(max, v)); }
 
-    markWeak(tempThreshold, untilTs) {
-      // Only strengthen weakening if it's more permissive (lower threshold)
-      const clamped = Math.max(tempThreshold, SETTINGS.minWeakThreshold);
-      if (this.weakThreshold == null || clamped < this.weakThreshold) {
-        this.weakThreshold = clamped;
-      }
-      this.weakUntilTs = Math.max(this.weakUntilTs, untilTs);
-    }
+  function displaySize() {
+    const dpr = clamp(window.devicePixelRatio || 1, 1, 2);
+    return { width: Math.floor(canvas.clientWidth * dpr), height: Math.floor(canvas.clientHeight * dpr) };
+  }
 
-    midpoint() {
-      return {
-        x: (this.a.positionX + this.b.positionX) * 0.5,
-        y: (this.a.positionY + this.b.positionY) * 0.5,
-      };
-    }
+  // Everything the engine sends back: frames, and input logs when a recording stops
+  function receive(msg) {
+    if (msg.type === 'frame') receiveFrame(msg);
+    else if (msg.type === 'inputLog' && msg.log) download('pepper-input.json', JSON.stringify(msg.log), 'application/json');
+  }
 
-    forceBreak() {
-      if (this.broken) return;
-      this.broken = true;
-      // Apply a separation impulse along the spring direction
-      const dx = this.b.positionX - this.a.positionX;
-      const dy = this.b.positionY - this.a.positionY;
-      const dist = Math.hypot(dx, dy) || 1e-6;
-      const nx = dx / dist;
-      const ny = dy / dist;
-      const push = SETTINGS.tearImpulse;
-      if (!this.a.pinned && !this.b.pinned) {
-        this.a.positionX -= nx * push * 0.5;
-        this.a.positionY -= ny * 0.5 * push;
-        this.b.positionX += nx * push * 0.5;
-        this.b.positionY += ny * 0.5 * push;
-      } else if (this.a.pinned && !this.b.pinned) {
-        this.b.positionX += nx * push;
-        this.b.positionY += ny * push;
-      } else if (!this.a.pinned && this.b.pinned) {
-        this.a.positionX -= nx * push;
-        this.a.positionY -= ny * push;
-      }
-    }
+  // Frames leave out links and islands when they have not changed; fill them in from the last
+  function receiveFrame(next) {
+    waitingForFrame = false;
+    if (next.links) links = next.links;
+    else next.links = links;
+    if (next.islands) islands = next.islands;
+    else next.islands = islands;
+    frame = next;
+    recordMetrics(next.metrics);
+    profile.steps += next.profile.steps;
+    Object.keys(next.profile.ms).forEach(name => { profile.ms[name] += next.profile.ms[name]; });
+    const waiters = frameWaiters;
+    frameWaiters = [];
+    waiters.forEach(resolve => resolve(next));
+  }
 
-    satisfy(nowTs) {
-      if (this.broken) return false;
-      const dx = this.b.positionX - this.a.positionX;
-      const dy = this.b.positionY - this.a.positionY;
-      const dist = Math.hypot(dx, dy) || 1e-6;
-      const threshold = this.getCurrentBreakThreshold(nowTs);
-      if (dist > this.rest * threshold) {
-        this.forceBreak();
-        return false;
-      }
-
-      const diff = (dist - this.rest) / dist;
-      const k = this.stiffness;
-      // If both are movable, split the correction; if one is pinned, move only the other
-      const moveAX = dx * 0.5 * k * diff;
-      const moveAY = dy * 0.5 * k * diff;
-      if (!this.a.pinned && !this.b.pinned) {
-        this.a.positionX += moveAX * 1;
-        this.a.positionY += moveAY * 1;
-        this.b.positionX -= moveAX * 1;
-        this.b.positionY -= moveAY * 1;
-      } else if (this.a.pinned && !this.b.pinned) {
-        this.b.positionX -= dx * k * diff;
-        this.b.positionY -= dy * k * diff;
-      } else if (!this.a.pinned && this.b.pinned) {
-        this.a.positionX += dx * k * diff;
-        this.a.positionY += dy * k * diff;
-      }
-      return true;
-    }
+  function nextFrame() {
+    return new Promise(resolve => { frameWaiters.push(resolve); });
   }
 
-  function buildGrid() {
-    particles = [];
-    constraints = [];
-
-    const width = canvas.width;
-    const height = canvas.height;
-    const pad = SETTINGS.borderPadding;
-    const gridWidth = width - pad * 2;
-    const gridHeight = height - pad * 2;
-
-    const cols = SETTINGS.gridCols;
-    const rows = SETTINGS.gridRows;
-    const cellW = gridWidth / (cols - 1);
-    const cellH = gridHeight / (rows - 1);
-
-    // Create particles in a regular grid
-    const particleAt = (i, j) => particles[j * cols + i];
-    for (let j = 0; j < rows; j++) {
-      for (let i = 0; i < cols; i++) {
-        const x = pad + i * cellW;
-        const y = pad + j * cellH;
-        // Pin a ring of boundary particles slightly to keep the surface framed
-        const isBoundary = i === 0 || j === 0 || i === cols - 1 || j === rows - 1;
-        particles.push(new Particle(x, y, isBoundary));
-      }
-    }
+  // Where the engine runs. Both hosts take the engine's messages through post() and deliver
+  // frames asynchronously, so the rest of the page does not care which one it got.
+  function createInlineHost(width, height) {
+    const engine = createPepperEngine(SETTINGS, width, height);
+    return {
+      kind: 'main thread',
+      post(msg) {
+        const result = engine.handle(msg);
+        if (result) Promise.resolve(result).then(receive);
+      },
+    };
+  }
 
-    // Structural (horizontal, vertical) constraints
-    for (let j = 0; j < rows; j++) {
-      for (let i = 0; i < cols; i++) {
-        if (i < cols - 1) {
-          const a = particleAt(i, j);
-          const b = particleAt(i + 1, j);
-          constraints.push(new DistanceConstraint(a, b, cellW, SETTINGS.structuralStiffness));
-        }
-        if (j < rows - 1) {
-          const a = particleAt(i, j);
-          const b = particleAt(i, j + 1);
-          constraints.push(new DistanceConstraint(a, b, cellH, SETTINGS.structuralStiffness));
-        }
-        // Shear (diagonal) constraints for stability
-        if (i < cols - 1 && j < rows - 1) {
-          const a = particleAt(i, j);
-          const b = particleAt(i + 1, j + 1);
-          constraints.push(new DistanceConstraint(a, b, Math.hypot(cellW, cellH), SETTINGS.shearStiffness));
-        }
-        if (i > 0 && j < rows - 1) {
-          const a = particleAt(i, j);
-          const b = particleAt(i - 1, j + 1);
-          constraints.push(new DistanceConstraint(a, b, Math.hypot(cellW, cellH), SETTINGS.shearStiffness));
-        }
-      }
+  function createHost(width, height) {
+    if (options.worker === false || typeof Worker === 'undefined') return createInlineHost(width, height);
+    let worker;
+    try {
+      worker = new Worker('./pepper-worker.js');
+    } catch (err) {
+      console.warn('Pepper worker unavailable, simulating on the main thread:', err);
+      return createInlineHost(width, height);
     }
+    const host = {
+      kind: 'worker thread',
+      post(msg) { worker.postMessage(msg); },
+    };
+    worker.addEventListener('message', e => receive(e.data));
+    // Some browsers only report a worker that cannot load once it is running
+    worker.addEventListener('error', (e) => {
+      e.preventDefault();
+      console.warn('Pepper worker failed, simulating on the main thread:', e.message);
+      worker.terminate();
+      const size = displaySize();
+      Object.assign(host, createInlineHost(size.width, size.height));
+      profile.host = host.kind;
+      waitingForFrame = false;
+    });
+    host.post({ type: 'init', settings: SETTINGS, width, height });
+    return host;
   }
 
   function resizeCanvasToDisplaySize() {
-    const dpr = clamp(window.devicePixelRatio || 1, 1, 2);
-    const { clientWidth, clientHeight } = canvas;
-    const width = Math.floor(clientWidth * dpr);
-    const height = Math.floor(clientHeight * dpr);
+    const { width, height } = displaySize();
     if (canvas.width !== width || canvas.height !== height) {
       canvas.width = width;
       canvas.height = height;
-      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-      buildGrid();
+      host.post({ type: 'resize', width, height });
     }
   }
 
-  function addPulse(x, y, strength = SETTINGS.pulseStrength) {
-    pulses.push({
-      x,
-      y,
-      strength,
-      sigma: SETTINGS.pulseSigma,
-      createdAt: performance.now(),
-    });
+  // Drawing
+  function render() {
+    const t0 = performance.now();
+    renderer.render(frame, showLinks);
+    profile.ms.render += performance.now() - t0;
+    profile.frames++;
+    drawnFrame = frame;
+
+    if (recorder.recording || recorder.exporting) recorder.capture();
+    showInputState(frame.input);
+
+    if (statsLabel) statsLabel.textContent = statsText();
+    if (islandsLabel) {
+      const parts = islandsText();
+      islandsLabel.textContent = parts.join(' · ');
+      islandsLabel.hidden = !parts.length;
+    }
   }
 
-  function stepSimulation(dtMs) {
-    const dtSec = dtMs / 1000;
-
-    // Forces: gravity and small jitter, plus soap pulses
-    for (let p of particles) {
-      if (!p.pinned) {
-        // Gravity
-        if (SETTINGS.gravityY !== 0) p.addForce(0, SETTINGS.gravityY);
-        // Random micro‑motion to keep flecks lively
-        const j = SETTINGS.jitterAcceleration;
-        p.addForce(randRange(-j, j), randRange(-j, j));
-      }
-    }
+  function statsText() {
+    return `${frame.particleCount} particles · ${frame.linkCount} links · surface tension ${frame.meanTension.toFixed(0)} mN/m`;
+  }
 
-    // Marangoni-like outward force from pulses (Gaussian falloff, exponential decay)
-    const now = performance.now();
-    const halfLife = SETTINGS.pulseHalfLifeMs;
-    const decayCoef = Math.log(2) / halfLife;
-    pulses = pulses.filter(pu => now - pu.createdAt < halfLife * 6); // cull old pulses
-    for (let pu of pulses) {
-      const age = now - pu.createdAt;
-      const decay = Math.exp(-decayCoef * age);
-      const base = pu.strength * decay;
-      const twoSigma2 = 2 * pu.sigma * pu.sigma;
-      for (let p of particles) {
-        if (p.pinned) continue;
-        const dx = p.positionX - pu.x;
-        const dy = p.positionY - pu.y;
-        const r2 = dx * dx + dy * dy;
-        const falloff = Math.exp(-r2 / twoSigma2);
-        const r = Math.sqrt(r2) + 1e-6;
-        const ax = (dx / r) * base * falloff;
-        const ay = (dy / r) * base * falloff;
-        p.addForce(ax, ay);
-      }
-    }
+  function islandsText() {
+    const m = frame.metrics;
+    const parts = [];
+    // Loose pepper has no links, so every fleck would count as an island of its own
+    if (SETTINGS.layout !== 'free') parts.push(`${m.islands} islands · largest ${m.largestIsland} · ${m.looseFlecks} loose`);
+    const lastDrop = m.drops[m.drops.length - 1];
+    if (lastDrop) parts.push(`last drop cleared ${((100 * lastDrop.area) / m.bowlArea).toFixed(1)}% of the bowl`);
+    return parts;
+  }
 
-    // Integrate
-    for (let p of particles) {
-      p.verletStep(dtSec, SETTINGS.damping);
-      // simple bounds to keep everything inside the canvas
-      p.positionX = clamp(p.positionX, SETTINGS.borderPadding, canvas.width - SETTINGS.borderPadding);
-      p.positionY = clamp(p.positionY, SETTINGS.borderPadding, canvas.height - SETTINGS.borderPadding);
-    }
+  function download(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
 
-    // Satisfy constraints multiple times for stability, with tearing
-    const nowTs = performance.now();
-    for (let k = 0; k < SETTINGS.constraintIterations; k++) {
-      let breaks = 0;
-      for (let i = 0; i < constraints.length; i++) {
-        const c = constraints[i];
-        if (c.broken) continue;
-        const ok = c.satisfy(nowTs);
-        if (!ok) {
-          breaks++;
-          if (breaks >= SETTINGS.maxBreaksPerStep) break;
-        }
-      }
+  // Input logs: the engine keeps them, the buttons show how far it got
+  let inputMode = 'live';
+
+  function showInputState(input) {
+    inputMode = input.mode;
+    const seconds = steps => ((steps * FIXED_DT) / 1000).toFixed(1);
+    if (recordInputBtn) {
+      recordInputBtn.textContent = input.mode === 'recording' ? `Stop (${seconds(input.step)} s)` : 'Record input';
+      recordInputBtn.setAttribute('aria-pressed', String(input.mode === 'recording'));
+    }
+    if (replayInputBtn) {
+      replayInputBtn.textContent = input.mode === 'replaying' ? `Replaying ${seconds(input.step)} / ${seconds(input.steps)} s` : 'Replay input…';
     }
-    // Remove broken constraints
-    if (constraints.length) constraints = constraints.filter(c => !c.broken);
   }
 
-  function render() {
-    // Clear background
-    ctx.fillStyle = '#ffffff';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-    // Render subtle ripples for active pulses
-    const now = performance.now();
-    ctx.save();
-    for (let pu of pulses) {
-      const age = now - pu.createdAt;
-      const life = SETTINGS.pulseHalfLifeMs * 2.5;
-      const t = clamp(1 - age / life, 0, 1);
-      if (t <= 0) continue;
-      const r = pu.sigma * (0.8 + (1 - t) * 1.5);
-      const alpha = 0.08 * t;
-      const grad = ctx.createRadialGradient(pu.x, pu.y, r * 0.2, pu.x, pu.y, r);
-      grad.addColorStop(0, `rgba(0,0,0,${alpha * 0.4})`);
-      grad.addColorStop(1, 'rgba(0,0,0,0)');
-      ctx.fillStyle = grad;
-      ctx.beginPath();
-      ctx.arc(pu.x, pu.y, r, 0, Math.PI * 2);
-      ctx.fill();
-    }
-    ctx.restore();
-
-    // Draw links (springs)
-    if (showLinks) {
-      ctx.strokeStyle = 'rgba(0,0,0,0.15)';
-      ctx.lineWidth = 1;
-      ctx.beginPath();
-      for (let c of constraints) {
-        ctx.moveTo(c.a.positionX, c.a.positionY);
-        ctx.lineTo(c.b.positionX, c.b.positionY);
-      }
-      ctx.stroke();
+  function toggleInputRecording() {
+    host.post({ type: inputMode === 'recording' ? 'stopRecording' : 'record' });
+  }
+
+  // The page takes the log's settings and canvas size, so the replay looks as it was recorded
+  async function replayInputFile() {
+    const file = replayFileInput.files[0];
+    replayFileInput.value = '';
+    if (!file) return;
+    let log;
+    try {
+      log = JSON.parse(await file.text());
+    } catch (err) {
+      console.warn('Not an input log:', err);
+      return;
     }
+    if (!log || !log.settings) return;
+    Object.assign(SETTINGS, log.settings);
+    if (layoutSelect) layoutSelect.value = SETTINGS.layout;
+    if (settingsEditor) settingsEditor.update();
+    canvas.width = log.width;
+    canvas.height = log.height;
+    host.post({ type: 'replay', log });
+    drawnFrame = null;
+  }
+
+  // Recording: lines printed over the picture when the HUD overlay is ticked
+  const recorder = window.CanvasRecorder.createRecorder(canvas, {
+    fps: RECORD_FPS,
+    filename: 'pepper',
+    hud: () => {
+      if (!frame || (hudOverlayInput && !hudOverlayInput.checked)) return null;
+      return [`t = ${frame.metrics.time.toFixed(2)} s`, statsText(), ...islandsText()];
+    },
+  });
 
-    // Draw pepper flecks
-    ctx.fillStyle = '#111';
-    const r = SETTINGS.pepperRadius;
-    for (let p of particles) {
-      ctx.beginPath();
-      ctx.arc(p.positionX, p.positionY, r, 0, Math.PI * 2);
-      ctx.fill();
+  function toggleRecording() {
+    if (recorder.recording) {
+      recorder.stopVideo();
+    } else if (!recorder.startVideo()) {
+      console.warn('This browser cannot record a canvas to video; use PNG frames instead.');
+      return;
     }
+    recordBtn.textContent = recorder.recording ? 'Stop' : 'Record';
+    recordBtn.setAttribute('aria-pressed', String(recorder.recording));
+  }
 
-    // HUD stats
-    if (statsLabel) {
-      statsLabel.textContent = `${particles.length} particles · ${constraints.length} links`;
+  // The live loop stands aside while the engine is stepped exactly one clip frame at a time
+  async function exportFrames() {
+    const seconds = clamp(parseFloat(framesSecondsInput ? framesSecondsInput.value : '') || 5, 1, 60);
+    const label = framesBtn.textContent;
+    framesBtn.disabled = true;
+    exporting = true;
+    try {
+      if (waitingForFrame) await nextFrame();
+      await recorder.exportFrames(Math.round(seconds * RECORD_FPS), async (dt) => {
+        waitingForFrame = true;
+        host.post({ type: 'advance', ms: dt * 1000 });
+        await nextFrame();
+        render();
+      }, (done, count) => { framesBtn.textContent = `Rendering ${done}/${count}…`; });
+    } finally {
+      exporting = false;
+      pendingMs = 0;
+      lastTimestamp = 0;
+      framesBtn.textContent = label;
+      framesBtn.disabled = false;
     }
   }
 
-  // Main loop (fixed time step)
+  // Main loop: one advance in flight at a time; time that passes while waiting goes into the next
   function animate(timestamp) {
+    requestAnimationFrame(animate);
+    if (exporting) return;
     if (!lastTimestamp) lastTimestamp = timestamp;
-    accumulatedMs += timestamp - lastTimestamp;
+    pendingMs += timestamp - lastTimestamp;
     lastTimestamp = timestamp;
-    const maxFrameMs = 1000 / 20; // avoid spiral of death
-    accumulatedMs = Math.min(accumulatedMs, maxFrameMs);
-    while (accumulatedMs >= fixedDt) {
-      stepSimulation(fixedDt);
-      accumulatedMs -= fixedDt;
+    if (!waitingForFrame) {
+      waitingForFrame = true;
+      host.post({ type: 'advance', ms: pendingMs });
+      pendingMs = 0;
     }
-    render();
-    requestAnimationFrame(animate);
+    if (frame && frame !== drawnFrame) render();
   }
 
-  // Interaction: click/touch drops soap
-  let isPointerDown = false;
+  // Input: pointer → canvas pixel coordinates, which are also the engine's
   function canvasPointFromEvent(e) {
     const rect = canvas.getBoundingClientRect();
     const x = (e.clientX - rect.left) * (canvas.width / rect.width);
     const y = (e.clientY - rect.top) * (canvas.height / rect.height);
     return { x, y };
   }
-  function weakenConstraintsNear(x, y, aggressive) {
-    const now = performance.now();
-    const outer = SETTINGS.clickTearRadius;
-    const inner = Math.min(SETTINGS.clickInnerBreakRadius, outer);
-    const weakThr = SETTINGS.breakThreshold * SETTINGS.weakenFactor;
-    for (let c of constraints) {
-      if (c.broken) continue;
-      const m = c.midpoint();
-      const dx = m.x - x;
-      const dy = m.y - y;
-      const d = Math.hypot(dx, dy);
-      if (d <= outer) {
-        c.markWeak(weakThr, now + SETTINGS.weakenDurationMs);
-        if (aggressive && d <= inner) {
-          // If already slightly stretched, snap immediately
-          const abx = c.b.positionX - c.a.positionX;
-          const aby = c.b.positionY - c.a.positionY;
-          const dist = Math.hypot(abx, aby) || 1e-6;
-          if (dist > c.rest * 1.22) {
-            c.forceBreak();
-          } else {
-            // Chance to break increases toward center
-            const t = 1 - d / inner;
-            if (Math.random() < 0.12 + 0.30 * t) c.forceBreak();
-          }
-        }
-      }
-    }
+
+  function svgCursor(body, hotX, hotY, fallback) {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24">${body}</svg>`;
+    return `url("data:image/svg+xml,${encodeURIComponent(svg)}") ${hotX} ${hotY}, ${fallback}`;
+  }
+
+  // What each tool does is up to the engine; here they only need a key, a cursor and whether
+  // dragging keeps using them
+  const TOOLS = {
+    soap: {
+      key: '1',
+      cursor: svgCursor('<path d="M12 2C9 7 5 11 5 15a7 7 0 0 0 14 0c0-4-4-8-7-13z" fill="#3b82f6" stroke="#fff"/>', 12, 22, 'crosshair'),
+      drags: true,
+    },
+    sugar: {
+      key: '2',
+      cursor: svgCursor('<rect x="5" y="5" width="14" height="14" rx="2" fill="#fff" stroke="#92400e" stroke-width="2"/>', 12, 12, 'cell'),
+    },
+    toothpick: {
+      key: '3',
+      cursor: svgCursor('<path d="M2 22L21 3" stroke="#fff" stroke-width="5"/><path d="M2 22L21 3" stroke="#b45309" stroke-width="2.5"/>', 2, 22, 'pointer'),
+      drags: true,
+    },
+    dropper: {
+      key: '4',
+      cursor: svgCursor('<path d="M15 2l7 7-3 3-7-7z" fill="#111" stroke="#fff"/><path d="M12 7l5 5-9 9-4 1 1-4z" fill="#bfdbfe" stroke="#1d4ed8"/>', 2, 22, 'crosshair'),
+    },
+    rinse: {
+      key: '5',
+      cursor: svgCursor('<path d="M2 10c3-3 5 3 8 0s5 3 8 0 4 0 4 0M2 16c3-3 5 3 8 0s5 3 8 0 4 0 4 0" fill="none" stroke="#0891b2" stroke-width="2.5"/>', 12, 12, 'copy'),
+    },
+    cork: {
+      key: '6',
+      cursor: svgCursor('<circle cx="12" cy="12" r="8" fill="#c8a165" stroke="#8b6b3d" stroke-width="2"/>', 12, 12, 'cell'),
+    },
+    spoon: {
+      key: '7',
+      cursor: svgCursor('<path d="M3 21L20 4" stroke="#6b7280" stroke-width="5" stroke-linecap="round"/><path d="M3 21L20 4" stroke="#b8bec7" stroke-width="2.5" stroke-linecap="round"/>', 3, 21, 'crosshair'),
+      drags: true,
+    },
+  };
+  let activeTool = 'soap';
+
+  function setTool(name) {
+    activeTool = name;
+    canvas.style.cursor = TOOLS[name].cursor;
+    toolButtons.forEach(b => b.setAttribute('aria-pressed', String(b.dataset.tool === name)));
   }
+
+  // Pen and touch pressure scales how hard a tool acts. Browsers report 0.5 for a pressed mouse
+  // button and 0 where they cannot measure pressure; both count as an ordinary press.
+  function pressureOf(e) {
+    return e.pointerType === 'mouse' || !e.pressure ? 1 : clamp(e.pressure * 2, 0.25, 2);
+  }
+
+  // Each pointer uses the tool on its own, so several fingers can drop and drag at once. A second
+  // finger on the screen turns the two into a pinch that squeezes the surface between them, so a
+  // touch holds back its tool for a moment in case it is the first finger of a pinch.
   canvas.addEventListener('pointerdown', (e) => {
-    isPointerDown = true;
     const { x, y } = canvasPointFromEvent(e);
-    addPulse(x, y);
-    weakenConstraintsNear(x, y, true);
+    const point = { x, y, t: e.timeStamp, type: e.pointerType, waiting: null, pinched: false };
+    pointers.set(e.pointerId, point);
+    const touches = [...pointers.keys()].filter(id => pointers.get(id).type === 'touch');
+    if (!pinch && e.pointerType === 'touch' && touches.length === 2) {
+      const [a, b] = touches.map(id => pointers.get(id));
+      // The first finger's tool never happens if it was still waiting, and stops if it was not
+      if (a.waiting) clearTimeout(a.waiting.timer);
+      else host.post({ type: 'tool', tool: activeTool, phase: 'up', x: a.x, y: a.y, pointer: touches[0] });
+      a.waiting = null;
+      a.pinched = true;
+      b.pinched = true;
+      pinch = { a: touches[0], b: touches[1], x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, gap: Math.hypot(a.x - b.x, a.y - b.y) };
+      return;
+    }
+    const down = { type: 'tool', tool: activeTool, phase: 'down', x, y, strength: pressureOf(e), pointer: e.pointerId };
+    if (e.pointerType === 'touch' && !pinch) {
+      point.waiting = { msg: down, timer: setTimeout(() => startTool(point), PINCH_WAIT_MS) };
+    } else {
+      host.post(down);
+    }
   });
+
+  // Sends a waiting touch's 'down'
+  function startTool(point) {
+    if (!point.waiting) return;
+    clearTimeout(point.waiting.timer);
+    host.post(point.waiting.msg);
+    point.waiting = null;
+  }
+
   canvas.addEventListener('pointermove', (e) => {
-    if (!isPointerDown) return;
+    const point = pointers.get(e.pointerId);
+    if (!point) return;
     const { x, y } = canvasPointFromEvent(e);
-    addPulse(x, y, SETTINGS.pulseStrength * 0.5);
-    weakenConstraintsNear(x, y, false);
+    if (point.pinched) {
+      // The finger left behind when the other lifts does nothing until it lifts too
+      Object.assign(point, { x, y, t: e.timeStamp });
+      if (pinch) movePinch();
+      return;
+    }
+    if (point.waiting) {
+      if (Math.hypot(x - point.x, y - point.y) < PINCH_SLOP) return;
+      startTool(point);
+    }
+    if (TOOLS[activeTool].drags) {
+      // Faster strokes act harder, as well as pressing harder
+      const speed = Math.hypot(x - point.x, y - point.y) / Math.max(1, e.timeStamp - point.t);
+      const strength = pressureOf(e) * clamp(speed / DRAG_SPEED_REFERENCE, 0.25, 3);
+      host.post({ type: 'tool', tool: activeTool, phase: 'drag', x, y, fromX: point.x, fromY: point.y, strength, pointer: e.pointerId });
+    }
+    Object.assign(point, { x, y, t: e.timeStamp });
   });
-  window.addEventListener('pointerup', () => { isPointerDown = false; });
-  window.addEventListener('pointercancel', () => { isPointerDown = false; });
+  // A quick tap lets go before its touch is done waiting, and still uses the tool
+  const releasePointer = (e) => {
+    const point = pointers.get(e.pointerId);
+    if (!point) return;
+    pointers.delete(e.pointerId);
+    if (point.pinched) {
+      if (pinch && (e.pointerId === pinch.a || e.pointerId === pinch.b)) pinch = null;
+      return;
+    }
+    startTool(point);
+    host.post({ type: 'tool', tool: activeTool, phase: 'up', x: point.x, y: point.y, pointer: e.pointerId });
+  };
+  window.addEventListener('pointerup', releasePointer);
+  window.addEventListener('pointercancel', releasePointer);
+
+  function movePinch() {
+    const a = pointers.get(pinch.a);
+    const b = pointers.get(pinch.b);
+    const x = (a.x + b.x) / 2;
+    const y = (a.y + b.y) / 2;
+    const gap = Math.hypot(a.x - b.x, a.y - b.y);
+    if (pinch.gap > 0) {
+      host.post({ type: 'squeeze', x, y, fromX: pinch.x, fromY: pinch.y, radius: pinch.gap / 2, scale: gap / pinch.gap });
+    }
+    Object.assign(pinch, { x, y, gap });
+  }
+
+  // Settings changed on the page go to the engine, which lays the pepper out again when they are
+  // layout settings. The renderer reads SETTINGS as it draws.
+  let settingsEditor = null;
+
+  function changeSettings(changes) {
+    Object.assign(SETTINGS, changes);
+    host.post({ type: 'configure', settings: changes });
+    if (window.PepperSettings) window.PepperSettings.saveSettings(SETTINGS, DEFAULT_SETTINGS);
+    if (layoutSelect) layoutSelect.value = SETTINGS.layout;
+    if (settingsEditor) settingsEditor.update();
+    drawnFrame = null;
+  }
 
   // Buttons & keyboard
-  if (resetBtn) resetBtn.addEventListener('click', () => buildGrid());
-  if (toggleLinksBtn) toggleLinksBtn.addEventListener('click', () => { showLinks = !showLinks; });
+  const reset = () => host.post({ type: 'reset' });
+  if (resetBtn) resetBtn.addEventListener('click', reset);
+  if (toggleLinksBtn) toggleLinksBtn.addEventListener('click', () => { showLinks = !showLinks; drawnFrame = null; });
+  toolButtons.forEach(b => b.addEventListener('click', () => setTool(b.dataset.tool)));
+  if (recordBtn) recordBtn.addEventListener('click', toggleRecording);
+  if (framesBtn) framesBtn.addEventListener('click', exportFrames);
+  if (recordInputBtn) recordInputBtn.addEventListener('click', toggleInputRecording);
+  if (replayInputBtn && replayFileInput) {
+    replayInputBtn.addEventListener('click', () => replayFileInput.click());
+    replayFileInput.addEventListener('change', replayInputFile);
+  }
+  if (layoutSelect) {
+    layoutSelect.value = SETTINGS.layout;
+    layoutSelect.addEventListener('change', () => { changeSettings({ layout: layoutSelect.value }); });
+  }
+  if (settingsPanel && window.PepperSettings) {
+    settingsEditor = window.PepperSettings.createSettingsPanel(settingsPanel, SETTINGS, DEFAULT_SETTINGS, changeSettings);
+  }
+  // Shortcuts, but not while typing into a field or together with the browser's own modifiers
   window.addEventListener('keydown', (e) => {
-    if (e.key === 'r' || e.key === 'R') buildGrid();
-    if (e.key === 'l' || e.key === 'L') showLinks = !showLinks;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    const target = e.target;
+    if (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName)) return;
+    if (e.key === 'r' || e.key === 'R') reset();
+    if (e.key === 'l' || e.key === 'L') { showLinks = !showLinks; drawnFrame = null; }
+    const tool = Object.keys(TOOLS).find(name => TOOLS[name].key === e.key);
+    if (tool) setTool(tool);
   });
 
   // Init
+  const initialSize = displaySize();
+  canvas.width = initialSize.width;
+  canvas.height = initialSize.height;
+  const host = createHost(initialSize.width, initialSize.height);
+  profile.host = host.kind;
   window.addEventListener('resize', resizeCanvasToDisplaySize);
-  resizeCanvasToDisplaySize();
+  setTool(activeTool);
   requestAnimationFrame(animate);
 })();
-
-
@@ -0,0 +1,32 @@
+// The candle-jar engine on its own: a seeded run repeats exactly, and under the cylinder jar the
+// tallest of three candles goes out first, as its flame sits in the hot, spent gas under the top.
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine } = require('../candle-jar-engine.js');
+
+const HEIGHTS = [60, 130, 200];
+
+function run(seed, seconds) {
+  const engine = createEngine({ candleCount: 3, jarDiameterPx: 320, seed });
+  HEIGHTS.forEach((h, i) => engine.setCandleHeight(i, h));
+  const flameOuts = [];
+  engine.on(ev => { if (ev.type === 'flameout') flameOuts.push(ev); });
+  engine.light();
+  assert.ok(engine.toggleJar());
+  for (let i = 0; i < seconds * 60; i++) engine.step(1 / 60);
+  return { engine, flameOuts };
+}
+
+test('a seeded run repeats exactly', () => {
+  const a = run(7, 12);
+  const b = run(7, 12);
+  assert.deepStrictEqual(b.engine.state, a.engine.state);
+  assert.strictEqual(b.engine.toJson(), a.engine.toJson());
+});
+
+test('the tallest flame goes out first and the shortest last', () => {
+  const { flameOuts } = run(1, 12);
+  assert.deepStrictEqual(flameOuts.map(ev => ev.label), ['Candle 3 out', 'Candle 2 out', 'Candle 1 out']);
+  assert.ok(Math.abs(flameOuts[0].t - 2.3) < 0.1, `200px flame out at ${flameOuts[0].t} s`);
+  assert.ok(Math.abs(flameOuts[2].t - 8.6) < 0.1, `60px flame out at ${flameOuts[2].t} s`);
+});